@@ -1,4 +1,4 @@
-const { Pool } = require("pg");
+const { Pool, Client } = require("pg");
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -11,4 +11,8 @@ pool.on("connect", () => {
 module.exports = {
   query: (text, params) => pool.query(text, params),
   getClient: () => pool.connect(),
+  ping: () => pool.query("SELECT 1"),
+  end: () => pool.end(),
+  // Standalone connection outside the pool, for LISTEN sessions that stay open
+  createClient: () => new Client({ connectionString: process.env.DATABASE_URL }),
 };
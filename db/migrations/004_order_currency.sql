@@ -0,0 +1,3 @@
+-- Migration: Add currency to orders (existing rows predate multi-currency and are USD)
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
@@ -0,0 +1,14 @@
+-- Migration: Track operator actions on dead_letter_events (replay / discard)
+
+ALTER TABLE dead_letter_events
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'PENDING',
+  ADD COLUMN IF NOT EXISTS replay_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_replayed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_replay_event_id UUID,
+  ADD COLUMN IF NOT EXISTS last_replayed_by TEXT,
+  ADD COLUMN IF NOT EXISTS discarded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS discarded_by TEXT,
+  ADD COLUMN IF NOT EXISTS discard_note TEXT;
+
+-- Add index for the admin list filters
+CREATE INDEX IF NOT EXISTS idx_dead_letter_event_type ON dead_letter_events(event_type, failed_at DESC);
@@ -0,0 +1,7 @@
+-- Migration: Support concurrent publishers claiming outbox rows with SKIP LOCKED
+
+-- Publishers only claim the oldest unpublished row per aggregate, so this
+-- lookup runs for every candidate row.
+CREATE INDEX IF NOT EXISTS idx_outbox_unpublished_aggregate
+  ON outbox (aggregate_id, id)
+  WHERE published = false;
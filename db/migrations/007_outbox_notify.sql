@@ -0,0 +1,17 @@
+-- Migration: Wake the outbox publisher with NOTIFY instead of waiting for its next poll
+
+-- NOTIFY is delivered on commit and identical notifications in one transaction
+-- are collapsed, so a statement-level trigger with an empty payload is enough.
+CREATE OR REPLACE FUNCTION notify_outbox_inserted() RETURNS trigger AS $$
+BEGIN
+  PERFORM pg_notify('outbox_inserted', '');
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS outbox_inserted_notify ON outbox;
+
+CREATE TRIGGER outbox_inserted_notify
+  AFTER INSERT ON outbox
+  FOR EACH STATEMENT
+  EXECUTE FUNCTION notify_outbox_inserted();
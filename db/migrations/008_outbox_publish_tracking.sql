@@ -0,0 +1,38 @@
+-- Migration: Per-row publish failure tracking and retention archive for the outbox
+
+ALTER TABLE outbox
+  ADD COLUMN IF NOT EXISTS publish_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_publish_error TEXT,
+  ADD COLUMN IF NOT EXISTS last_publish_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS next_publish_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS parked_at TIMESTAMPTZ;
+
+-- Parked rows are listed for operators, newest first
+CREATE INDEX IF NOT EXISTS idx_outbox_parked
+  ON outbox (parked_at DESC, event_id DESC)
+  WHERE parked_at IS NOT NULL;
+
+-- Retention cleanup scans published rows by age
+CREATE INDEX IF NOT EXISTS idx_outbox_published_at
+  ON outbox (published_at)
+  WHERE published = true;
+
+-- Published rows past the retention period are moved here
+CREATE TABLE IF NOT EXISTS outbox_archive (
+  id BIGINT PRIMARY KEY,
+  event_id UUID NOT NULL UNIQUE,
+
+  aggregate_type TEXT NOT NULL,
+  aggregate_id UUID NOT NULL,
+  event_type TEXT NOT NULL,
+
+  payload JSONB NOT NULL,
+
+  publish_attempts INTEGER NOT NULL DEFAULT 0,
+  published_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL,
+  archived_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_archive_aggregate
+  ON outbox_archive (aggregate_type, aggregate_id);
@@ -0,0 +1,9 @@
+-- Migration: Schema version and correlation id for outbox events, sent as Kafka headers
+
+ALTER TABLE outbox
+  ADD COLUMN IF NOT EXISTS schema_version INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS correlation_id TEXT;
+
+ALTER TABLE outbox_archive
+  ADD COLUMN IF NOT EXISTS schema_version INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS correlation_id TEXT;
@@ -0,0 +1,5 @@
+-- Migration: Record the payload schema version of dead-lettered events
+
+-- NULL for entries written before versions were tracked; those are v1
+ALTER TABLE dead_letter_events
+  ADD COLUMN IF NOT EXISTS schema_version INTEGER;
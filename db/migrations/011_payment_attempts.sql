@@ -0,0 +1,22 @@
+-- Migration: Record payment provider calls before they are made
+
+-- One row per order and operation. The key doubles as the provider's
+-- idempotency key, so a retried call can't charge twice. Written before the
+-- provider is called; status is STARTED until the answer is recorded.
+CREATE TABLE IF NOT EXISTS payment_attempts (
+  idempotency_key TEXT PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES orders(id),
+  operation TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  event_id UUID,
+  status TEXT NOT NULL DEFAULT 'STARTED',
+  provider_reference TEXT,
+  decline_code TEXT,
+  last_error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Reconciliation looks up the latest attempt per order
+CREATE INDEX IF NOT EXISTS idx_payment_attempts_order_id ON payment_attempts(order_id, updated_at DESC);
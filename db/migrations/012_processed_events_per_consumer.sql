@@ -0,0 +1,17 @@
+-- Migration: Key processed_events by event and consumer
+
+-- 001 made event_id the whole primary key, so only one consumer could ever
+-- record an event, and the (event_id, worker_id) conflict target used by the
+-- worker matched no constraint. Every row so far belongs to the payment worker.
+ALTER TABLE processed_events RENAME COLUMN worker_id TO consumer_name;
+
+UPDATE processed_events SET consumer_name = 'payment-worker' WHERE consumer_name IS NULL;
+
+ALTER TABLE processed_events ALTER COLUMN consumer_name SET NOT NULL;
+
+ALTER TABLE processed_events DROP CONSTRAINT processed_events_pkey;
+ALTER TABLE processed_events ADD PRIMARY KEY (event_id, consumer_name);
+
+-- For the retention cleanup
+CREATE INDEX IF NOT EXISTS idx_processed_events_consumer_processed_at
+  ON processed_events(consumer_name, processed_at);
@@ -0,0 +1,13 @@
+-- Migration: Record which consumer dead-lettered an event
+
+-- Every entry so far came from the payment worker
+ALTER TABLE dead_letter_events
+  ADD COLUMN IF NOT EXISTS consumer_name TEXT NOT NULL DEFAULT 'payment-worker';
+
+-- New entries must name their consumer
+ALTER TABLE dead_letter_events ALTER COLUMN consumer_name DROP DEFAULT;
+
+-- Each consumer that gives up on an event gets its own entry
+ALTER TABLE dead_letter_events
+  DROP CONSTRAINT dead_letter_events_pkey,
+  ADD PRIMARY KEY (event_id, consumer_name);
@@ -0,0 +1,6 @@
+-- Migration: Look up an order's outbox history without a full scan
+
+-- Used by GET /orders/:id/events and the order replay, which read every event
+-- of an aggregate (outbox_archive has the same index since 008)
+CREATE INDEX IF NOT EXISTS idx_outbox_aggregate
+  ON outbox (aggregate_type, aggregate_id, id);
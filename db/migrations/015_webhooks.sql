@@ -0,0 +1,62 @@
+-- Migration: Outbound webhooks for order events
+
+-- Endpoints that want order events. consecutive_failures counts deliveries
+-- that used up all their attempts since the last successful one; enough of
+-- them in a row disable the subscription.
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id UUID PRIMARY KEY,
+  url TEXT NOT NULL,
+  event_types TEXT[] NOT NULL,
+  secret TEXT NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'ACTIVE',
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  disabled_at TIMESTAMPTZ,
+  disabled_reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One row per event and subscription, written with the dispatcher's
+-- processed_events marker. The unique key keeps a redelivered event from
+-- being queued twice. round goes up each time an operator redelivers it, and
+-- attempts counts the attempts of the current round.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY,
+  subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  event_id UUID NOT NULL,
+  event_type TEXT NOT NULL,
+  aggregate_id UUID NOT NULL,
+  body JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  round INTEGER NOT NULL DEFAULT 1,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_attempt_at TIMESTAMPTZ,
+  last_status_code INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (subscription_id, event_id)
+);
+
+-- The delivery loop claims due PENDING rows
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'PENDING';
+
+-- Delivery log of a subscription, newest first
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC, id DESC);
+
+-- Every HTTP attempt, successful or not, numbered within its round
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+  round INTEGER NOT NULL,
+  attempt INTEGER NOT NULL,
+  attempted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  status_code INTEGER,
+  error TEXT,
+  response_body TEXT,
+  duration_ms INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts(delivery_id, round, attempt);
@@ -0,0 +1,12 @@
+-- Migration: Replay dead-lettered events to the consumer that gave up on them
+
+-- Set by the DLQ replay endpoints and cleared by that consumer once it has
+-- put the event back on its own retry topic, under its original event id
+ALTER TABLE dead_letter_events
+  ADD COLUMN IF NOT EXISTS replay_requested BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS last_replay_correlation_id TEXT;
+
+-- Each consumer polls for its own requested replays
+CREATE INDEX IF NOT EXISTS idx_dead_letter_replay_requested
+  ON dead_letter_events (consumer_name, last_replayed_at)
+  WHERE replay_requested;
@@ -0,0 +1,7 @@
+-- Migration: Keep messages that could not be decoded in dead_letter_events
+
+-- For those entries payload is NULL and the message is stored as received,
+-- so it can be replayed once the consumer can read it
+ALTER TABLE dead_letter_events
+  ADD COLUMN IF NOT EXISTS raw_value BYTEA,
+  ADD COLUMN IF NOT EXISTS raw_headers JSONB;
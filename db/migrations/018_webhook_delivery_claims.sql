@@ -0,0 +1,10 @@
+-- Migration: Tie webhook attempts to the claim they were sent under
+
+-- Set afresh each time the delivery loop claims a delivery. An attempt is
+-- only counted while the delivery still carries the claim it was sent
+-- under; one that outlived its lease, or a redelivery, is only logged.
+ALTER TABLE webhook_deliveries
+  ADD COLUMN IF NOT EXISTS claim_id UUID;
+
+ALTER TABLE webhook_delivery_attempts
+  ADD COLUMN IF NOT EXISTS superseded BOOLEAN NOT NULL DEFAULT false;
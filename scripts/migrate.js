@@ -0,0 +1,223 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("../db/connection");
+
+// Applies db/migrations/NNN_name.sql in version order and records each one in
+// schema_migrations with a checksum of its contents.
+//
+//   npm run migrate                      apply every pending migration
+//   npm run migrate -- up --to 9         apply pending migrations up to 009
+//   npm run migrate -- status            list applied, pending and changed files
+//   npm run migrate -- baseline --to 11  record 001-011 as applied without running
+//                                        them (databases set up by hand with psql)
+//
+// Each migration runs in its own transaction together with its
+// schema_migrations row, so a failure leaves nothing half-applied. The whole
+// run holds a Postgres advisory lock: a second runner (e.g. two deploys at
+// once) waits for the first and then finds nothing left to do.
+//
+// An applied migration whose file has since been edited stops `up` before
+// anything runs. Add a new migration instead of changing an old one.
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "db", "migrations");
+const FILE_PATTERN = /^(\d+)_[\w-]+\.sql$/;
+// Key for pg_advisory_lock, shared by every copy of this script
+const LOCK_KEY = 20240611;
+
+const CREATE_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    execution_ms INTEGER,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+  )
+`;
+
+// Line endings don't count as a change, so Windows and Linux checkouts agree
+function checksumOf(sql) {
+  return crypto.createHash("sha256").update(sql.replace(/\r\n/g, "\n")).digest("hex");
+}
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(name => name.endsWith(".sql"))
+    .map(name => {
+      const match = FILE_PATTERN.exec(name);
+      if (!match) {
+        throw new Error(`Migration file ${name} doesn't match NNN_name.sql`);
+      }
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, name), "utf8");
+      return { version: Number(match[1]), name, sql, checksum: checksumOf(sql) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].name} and ${migrations[i].name} share version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+// "9", "009" or "009_dead_letter_schema_version.sql" -> 9
+function parseTarget(value, migrations) {
+  if (value === undefined) {
+    return Infinity;
+  }
+  const match = /^(\d+)/.exec(value);
+  const version = match ? Number(match[1]) : NaN;
+  if (!migrations.some(m => m.version === version)) {
+    throw new Error(`--to ${value} doesn't name a migration in db/migrations`);
+  }
+  return version;
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// One entry per file and per recorded migration whose file is gone:
+// APPLIED, PENDING, CHANGED (file edited after it was applied) or MISSING
+function compare(migrations, applied) {
+  const entries = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    if (!row) {
+      return { ...migration, state: "PENDING" };
+    }
+    const state = row.checksum === migration.checksum ? "APPLIED" : "CHANGED";
+    return { ...migration, state, appliedAt: row.applied_at };
+  });
+
+  for (const row of applied.values()) {
+    if (!migrations.some(m => m.version === row.version)) {
+      entries.push({ version: row.version, name: row.name, state: "MISSING", appliedAt: row.applied_at });
+    }
+  }
+  return entries.sort((a, b) => a.version - b.version);
+}
+
+async function applyMigration(client, migration) {
+  const started = Date.now();
+  await client.query("BEGIN");
+  try {
+    await client.query(migration.sql);
+    await client.query(
+      `INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)`,
+      [migration.version, migration.name, migration.checksum, Date.now() - started]
+    );
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw new Error(`${migration.name} failed, nothing from it was applied: ${err.message}`);
+  }
+  console.log(`  applied ${migration.name} (${Date.now() - started}ms)`);
+}
+
+async function up(client, migrations, target) {
+  const entries = compare(migrations, await appliedMigrations(client));
+
+  const changed = entries.filter(entry => entry.state === "CHANGED");
+  if (changed.length > 0) {
+    throw new Error(
+      `Applied migrations were edited since: ${changed.map(entry => entry.name).join(", ")}. ` +
+      "Restore them and put the change in a new migration."
+    );
+  }
+
+  const pending = entries.filter(entry => entry.state === "PENDING" && entry.version <= target);
+  if (pending.length === 0) {
+    console.log("Database is up to date");
+    return;
+  }
+
+  console.log(`Applying ${pending.length} migration(s)`);
+  for (const migration of pending) {
+    await applyMigration(client, migration);
+  }
+}
+
+async function status(client, migrations) {
+  const entries = compare(migrations, await appliedMigrations(client));
+  for (const entry of entries) {
+    const appliedAt = entry.appliedAt ? entry.appliedAt.toISOString() : "";
+    console.log(`  ${entry.state.padEnd(8)} ${entry.name.padEnd(40)} ${appliedAt}`);
+  }
+
+  const counts = {};
+  for (const entry of entries) {
+    counts[entry.state] = (counts[entry.state] || 0) + 1;
+  }
+  console.log(Object.entries(counts).map(([state, count]) => `${count} ${state.toLowerCase()}`).join(", "));
+
+  // Lets CI fail on a checked-in edit to an applied migration
+  if (counts.CHANGED) {
+    process.exitCode = 1;
+  }
+}
+
+// Marks existing files up to `target` as applied without running them
+async function baseline(client, migrations, target) {
+  if (target === Infinity) {
+    throw new Error("baseline needs --to <version>: the last migration already in the database");
+  }
+  const applied = await appliedMigrations(client);
+  const recorded = migrations.filter(m => m.version <= target && !applied.has(m.version));
+
+  for (const migration of recorded) {
+    await client.query(
+      `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)`,
+      [migration.version, migration.name, migration.checksum]
+    );
+    console.log(`  recorded ${migration.name}`);
+  }
+  console.log(`Recorded ${recorded.length} migration(s) as applied`);
+}
+
+const COMMANDS = { up, status, baseline };
+
+function parseArgs(argv) {
+  const args = { command: "up" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--to") {
+      args.to = argv[++i];
+    } else if (argv[i].startsWith("--to=")) {
+      args.to = argv[i].slice("--to=".length);
+    } else {
+      args.command = argv[i];
+    }
+  }
+  if (!COMMANDS[args.command]) {
+    throw new Error(`Unknown command "${args.command}", expected one of ${Object.keys(COMMANDS).join(", ")}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const migrations = loadMigrations();
+  const target = parseTarget(args.to, migrations);
+
+  const client = await db.getClient();
+  try {
+    // Session-level lock: held across the per-migration transactions
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    try {
+      await client.query(CREATE_TABLE);
+      await COMMANDS[args.command](client, migrations, target);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+    await db.end();
+  }
+}
+
+main().catch(err => {
+  console.error(`Migration failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,202 @@
+require("dotenv").config();
+const db = require("../db/connection");
+const { PROJECTED_EVENT_TYPES, createOrderProjection } = require("../src/replay/orderProjection");
+const { readOutboxEvents, readKafkaEvents } = require("../src/replay/eventSources");
+const { SHADOW_TABLE, BACKUP_TABLE, DIFF_KIND, createShadowTable, writeShadowRows, diffShadow, writeBack } = require("../src/replay/orderRebuild");
+
+// Rebuilds orders from their events into the orders_rebuild table and reports
+// how they differ from `orders`.
+//
+//   npm run replay                                   every order, from the outbox
+//   npm run replay -- --order <uuid>                 one order
+//   npm run replay -- --from 2024-06-01 --to 2024-06-02
+//                                                    orders created in that range
+//   npm run replay -- --source kafka --from 2024-06-01T12:00Z
+//                                                    Kafka from a timestamp
+//   npm run replay -- --source kafka --from-offset 1500 [--topic order-events]
+//                                                    Kafka from an offset on every partition
+//   npm run replay -- --order <uuid> --swap          also write the rebuilt rows into orders
+//
+// From the outbox each order is rebuilt from its whole history. From Kafka,
+// --from and --from-offset say where reading starts, so orders created before
+// that can't be rebuilt (their events count as NO_ORDER), and only orders that
+// were rebuilt are compared.
+//
+// --swap writes the differing rows back (outbox source only). The replaced
+// rows are kept in orders_before_rebuild. Orders in PAYMENT_PENDING whose
+// events end at OrderCreated are listed but not written back: starting a
+// payment emits no event. Exits with code 1 when other differences are left,
+// so it can run as a scheduled check.
+
+const BATCH_SIZE = Number(process.env.REPLAY_BATCH_SIZE) || 500;
+const DEFAULT_SHOW = 20;
+
+function parseTime(value, flag) {
+  const time = new Date(value);
+  if (Number.isNaN(time.getTime())) {
+    throw new Error(`${flag} ${value} isn't a date or timestamp`);
+  }
+  return time;
+}
+
+function parseArgs(argv) {
+  const args = { source: "outbox", topics: [], show: DEFAULT_SHOW, swap: false };
+  const takesValue = new Set(["--source", "--order", "--from", "--to", "--from-offset", "--topic", "--show"]);
+
+  for (let i = 0; i < argv.length; i++) {
+    let flag = argv[i];
+    let value;
+    if (flag.includes("=")) {
+      [flag, value] = [flag.slice(0, flag.indexOf("=")), flag.slice(flag.indexOf("=") + 1)];
+    } else if (takesValue.has(flag)) {
+      value = argv[++i];
+    }
+    if (takesValue.has(flag) && value === undefined) {
+      throw new Error(`${flag} needs a value`);
+    }
+
+    switch (flag) {
+      case "--source": args.source = value; break;
+      case "--order": args.orderId = value; break;
+      case "--from": args.from = parseTime(value, flag); break;
+      case "--to": args.to = parseTime(value, flag); break;
+      case "--from-offset": args.fromOffset = Number(value); break;
+      case "--topic": args.topics.push(value); break;
+      case "--show": args.show = Number(value); break;
+      case "--swap": args.swap = true; break;
+      default: throw new Error(`Unknown option ${flag}`);
+    }
+  }
+
+  if (!["outbox", "kafka"].includes(args.source)) {
+    throw new Error(`--source must be outbox or kafka, not ${args.source}`);
+  }
+  if (args.source === "outbox" && (args.fromOffset !== undefined || args.topics.length > 0)) {
+    throw new Error("--from-offset and --topic only apply to --source kafka");
+  }
+  if (args.fromOffset !== undefined && (!Number.isInteger(args.fromOffset) || args.fromOffset < 0 || args.from)) {
+    throw new Error("--from-offset takes a non-negative offset and can't be combined with --from");
+  }
+  if (args.swap && args.source !== "outbox") {
+    throw new Error("--swap needs --source outbox: write-back re-reads the orders' history from the outbox");
+  }
+  return args;
+}
+
+function addOutcomes(total, outcomes) {
+  for (const [outcome, count] of Object.entries(outcomes)) {
+    total[outcome] = (total[outcome] || 0) + count;
+  }
+}
+
+async function rebuildFromOutbox(args) {
+  const outcomes = {};
+  await readOutboxEvents(
+    { orderIds: args.orderId ? [args.orderId] : null, from: args.from, to: args.to, batchSize: BATCH_SIZE },
+    async events => {
+      // Each batch holds complete histories, so it gets its own projection
+      const projection = createOrderProjection();
+      events.forEach(projection.apply);
+      await writeShadowRows(projection.orders());
+      addOutcomes(outcomes, projection.outcomes());
+    }
+  );
+  return outcomes;
+}
+
+async function rebuildFromKafka(args) {
+  const projection = createOrderProjection();
+  await readKafkaEvents(
+    {
+      topics: args.topics.length > 0 ? args.topics : null,
+      fromOffset: args.fromOffset,
+      fromTime: args.from,
+      to: args.to,
+      orderId: args.orderId,
+      eventTypes: PROJECTED_EVENT_TYPES,
+    },
+    projection.apply
+  );
+
+  const orders = projection.orders();
+  for (let i = 0; i < orders.length; i += BATCH_SIZE) {
+    await writeShadowRows(orders.slice(i, i + BATCH_SIZE));
+  }
+  return projection.outcomes();
+}
+
+// Orders `orders` is compared against; see diffShadow()
+function diffScope(args) {
+  if (args.orderId) {
+    return { orderIds: [args.orderId] };
+  }
+  return args.source === "outbox" ? { from: args.from, to: args.to } : null;
+}
+
+function describe(difference) {
+  if (difference.kind !== DIFF_KIND.DIFFERENT) {
+    return `  ${difference.kind.padEnd(24)} ${difference.orderId}`;
+  }
+  const changes = difference.columns.map(column =>
+    `${column}: ${format(difference.live[column])} -> ${format(difference.rebuilt[column])}`
+  );
+  return `  ${difference.kind.padEnd(24)} ${difference.orderId}  ${changes.join(", ")}`;
+}
+
+function format(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function report(outcomes, { rebuilt, compared, differences }, show) {
+  console.log(`Events: ${Object.entries(outcomes).filter(([, count]) => count > 0).map(([outcome, count]) => `${count} ${outcome.toLowerCase()}`).join(", ") || "none"}`);
+  console.log(`Rebuilt ${rebuilt} order(s) into ${SHADOW_TABLE}, compared with ${compared} in orders`);
+
+  if (differences.length === 0) {
+    console.log("No differences");
+    return;
+  }
+  const counts = {};
+  for (const difference of differences) {
+    counts[difference.kind] = (counts[difference.kind] || 0) + 1;
+  }
+  console.log(`Differences: ${Object.entries(counts).map(([kind, count]) => `${count} ${kind.toLowerCase()}`).join(", ")}`);
+  differences.slice(0, show).forEach(difference => console.log(describe(difference)));
+  if (differences.length > show) {
+    console.log(`  ... and ${differences.length - show} more (query ${SHADOW_TABLE}, or pass --show)`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    await createShadowTable();
+    const outcomes = args.source === "outbox" ? await rebuildFromOutbox(args) : await rebuildFromKafka(args);
+    const diff = await diffShadow(diffScope(args));
+    report(outcomes, diff, args.show);
+
+    // Orders with no history, and payments in progress, are left alone
+    const toWrite = diff.differences
+      .filter(difference => difference.kind === DIFF_KIND.DIFFERENT || difference.kind === DIFF_KIND.MISSING_IN_LIVE)
+      .map(difference => difference.orderId);
+    const unexplained = diff.differences.filter(difference => difference.kind !== DIFF_KIND.UNRECORDED_PAYMENT_START);
+
+    if (args.swap && toWrite.length > 0) {
+      const { updated, inserted } = await writeBack(toWrite);
+      console.log(`Wrote back ${updated} updated and ${inserted} inserted order(s); previous rows are in ${BACKUP_TABLE}`);
+      if (toWrite.length === unexplained.length) {
+        return;
+      }
+    }
+    if (unexplained.length > 0) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await db.end();
+  }
+}
+
+main().catch(err => {
+  console.error(`Replay failed: ${err.message}`);
+  process.exit(1);
+});
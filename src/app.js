@@ -1,12 +1,59 @@
 require('dotenv').config();
 const express = require('express');
 const ordersRouter = require('./routes/orders');
+const deadLettersRouter = require('./routes/deadLetters');
+const outboxAdminRouter = require('./routes/outboxAdmin');
+const webhooksRouter = require('./routes/webhooks');
+const { requireAdmin } = require('./http/adminAuth');
+const { correlationId } = require('./http/correlationId');
+const { purgeExpiredKeys } = require('./idempotency/idempotencyKeys');
+const { errorHandler } = require('./http/errors');
+const { initMetrics, metricsHandler, httpMetricsMiddleware } = require('./observability/metrics');
+const { runChecks, postgresCheck } = require('./observability/health');
+const { createLifecycle, closeServer } = require('./lifecycle/shutdown');
+const db = require('../db/connection');
+
+initMetrics('order-api');
+
+const lifecycle = createLifecycle('order-api');
 
 const app = express();
 const PORT = process.env.APP_PORT || process.env.PORT || 3000;
 
+app.use(httpMetricsMiddleware());
 app.use(express.json());
+app.use(correlationId);
+
+app.get('/metrics', metricsHandler);
+
+// Liveness: the process is up and serving requests
+app.get('/healthz', (req, res) => res.json({ status: 'ok' }));
+
+// Readiness: dependencies needed to serve traffic are reachable
+app.get('/readyz', async (req, res) => {
+    const { status, body } = await runChecks({
+        shutdown: lifecycle.readinessCheck,
+        postgres: postgresCheck,
+    });
+    res.status(status).json(body);
+});
 
 app.use('/orders', ordersRouter);
+app.use('/admin/dlq', requireAdmin, deadLettersRouter);
+app.use('/admin/outbox', requireAdmin, outboxAdminRouter);
+app.use('/admin/webhooks', requireAdmin, webhooksRouter);
+
+app.use(errorHandler);
+
+// Expired idempotency keys are already ignored on lookup; this just keeps the table small
+const purgeTimer = setInterval(() => {
+    purgeExpiredKeys().catch(err => console.error("Error purging idempotency keys:", err));
+}, 60 * 60 * 1000).unref();
+
+const server = app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Stop accepting connections and let in-flight requests finish before closing the pool
+lifecycle.addStep('http server', () => closeServer(server));
+lifecycle.addStep('idempotency purge', async () => clearInterval(purgeTimer));
+lifecycle.addStep('postgres', () => db.end());
+lifecycle.listen();
@@ -0,0 +1,649 @@
+const { Kafka } = require("kafkajs");
+const { v5: uuidv5, validate: isUuid } = require("uuid");
+const db = require("../../db/connection");
+const retryTopics = require("./retryTopics");
+const { processBatchByKey } = require("./keyedBatch");
+const { isProcessed, processOnce, cleanupProcessedEvents } = require("./idempotentConsumer");
+const { CircuitOpenError } = require("../resilience/circuitBreaker");
+const { topicFor } = require("../events/topicRouting");
+const { HEADERS, eventHeaders, readHeader } = require("../events/eventHeaders");
+const schemaRegistry = require("../events/schemaRegistry");
+const serialization = require("../events/serialization");
+const { counter, gauge } = require("../observability/metrics");
+const { trackProducer, trackConsumer } = require("../observability/health");
+
+// Kafka consumer framework: a consumer is a name, a group id and a handler per
+// event type. The framework subscribes to wherever those event types are
+// routed and gives every handler the same pipeline:
+//
+//   decode -> skip duplicates -> upcast to the current schema -> handler
+//          -> on failure: retry topic tier, then dead_letter_events
+//
+// Dead-letter entries an operator replays come back to the consumer that
+// wrote them, through its own retry topics.
+//
+// Messages are handled several keys at a time with per-key ordering (see
+// keyedBatch.js), failures go to this consumer's own retry topics (see
+// retryTopics.js), and logs and metrics carry the consumer's name.
+//
+// Duplicates are skipped up front, but the handler still has to record the
+// event as processed together with its work: ctx.processOnce(work) for work
+// that is all in Postgres, or ctx.processedEvent passed to transition().
+
+const PARTITION_CONCURRENCY = Number(process.env.WORKER_PARTITION_CONCURRENCY) || 3;
+const KEY_CONCURRENCY = Number(process.env.WORKER_KEY_CONCURRENCY) || 10;
+const STALL_THRESHOLD_MS = Number(process.env.WORKER_STALL_THRESHOLD_MS) || 60000;
+const PROCESSED_EVENTS_CLEANUP_INTERVAL_MS = Number(process.env.PROCESSED_EVENTS_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+const DLQ_REPLAY_POLL_INTERVAL_MS = Number(process.env.DLQ_REPLAY_POLL_INTERVAL_MS) || 5000;
+const DLQ_REPLAY_BATCH_SIZE = Number(process.env.DLQ_REPLAY_BATCH_SIZE) || 50;
+// Names the dead-letter entry of a message without a usable event-id header,
+// derived from where it was read so a redelivery lands on the same entry
+const UNDECODABLE_MESSAGE_NAMESPACE = "3f1c6f0e-9b7a-4f55-8d0c-2a64c1e5b8d7";
+
+// Shared by every consumer in the process, told apart by the `consumer` label
+const metrics = {
+  eventsProcessed: counter("worker_events_processed_total", "Events received by a consumer", ["consumer", "event_type"]),
+  duplicatesSkipped: counter("worker_duplicate_events_total", "Events skipped because they were already processed", ["consumer"]),
+  retriedEvents: counter("worker_event_retries_total", "Events republished to a retry topic", ["consumer", "event_type"]),
+  dlqEvents: counter("worker_dlq_events_total", "Events moved to dead_letter_events", ["consumer", "event_type"]),
+  replayedEvents: counter("worker_dlq_replays_total", "Dead-lettered events put back on a retry topic for replay", ["consumer", "event_type"]),
+  pausedPartitions: gauge("worker_paused_partitions", "Partitions paused while a consumer's circuit is open", { labelNames: ["consumer"] }),
+};
+
+// Header first, then the envelope; events published before versions existed are v1
+function schemaVersionOf(event, message) {
+  return Number(readHeader(message, HEADERS.schemaVersion) || event.schemaVersion) || 1;
+}
+
+// Validates the payload at the version it was written with and upcasts it to
+// the version the handlers expect
+function upcastEvent(event, message) {
+  const schemaVersion = schemaVersionOf(event, message);
+  const payload = schemaRegistry.upcast(event.eventType, schemaVersion, event.payload);
+  return { ...event, payload, schemaVersion: schemaRegistry.currentVersion(event.eventType) };
+}
+
+/**
+ * Creates a consumer. Nothing connects until `start()`.
+ *
+ * - `name`: used for logs (`service`), metrics, processed_events and
+ *   dead_letter_events rows, the Kafka client id and the retry topic names
+ * - `groupId`: main consumer group; the retry consumer uses `<groupId>-retry`
+ * - `handlers`: `{ [eventType]: async (event, ctx) => {} }`, where `ctx` is
+ *   `{ correlationId, attempt, processedEvent, processOnce }`
+ * - `topics`: defaults to the topics `aggregateType` events of the handled
+ *   types are routed to
+ * - `breaker`: optional circuit breaker guarding the handlers' dependency.
+ *   While it is open, partitions are paused instead of using up retries.
+ * - `signal`: aborted at shutdown; cuts retry waits and cleanup short
+ *
+ * Call `resumePaused()` when the breaker closes and `scheduleResume()` when
+ * it opens, from the breaker's onStateChange.
+ */
+function createEventConsumer({
+  name,
+  groupId,
+  handlers,
+  aggregateType = "order",
+  topics,
+  brokers = [process.env.KAFKA_BROKER],
+  partitionConcurrency = PARTITION_CONCURRENCY,
+  keyConcurrency = KEY_CONCURRENCY,
+  breaker = null,
+  signal,
+}) {
+  const inputTopics = topics || [...new Set(Object.keys(handlers).map(eventType => topicFor(aggregateType, eventType)))];
+
+  const kafka = new Kafka({ clientId: name, brokers });
+  const consumer = kafka.consumer({ groupId });
+  const retryConsumer = kafka.consumer({ groupId: `${groupId}-retry` });
+  const producer = kafka.producer();
+
+  const consumerHealth = trackConsumer(consumer, { stallThresholdMs: STALL_THRESHOLD_MS });
+  // Retry topics have few partitions, so an instance without any is still healthy
+  const retryConsumerHealth = trackConsumer(retryConsumer, { requireAssignment: false, stallThresholdMs: STALL_THRESHOLD_MS });
+  const kafkaProducerCheck = trackProducer(producer);
+
+  // "topic:partition" -> consumer, for partitions paused while the circuit is open
+  const pausedPartitions = new Map();
+  let resumeTimer = null;
+  let cleanupTimer = null;
+  let cleanup = Promise.resolve();
+  let replayTimer = null;
+  let replays = Promise.resolve();
+
+  // Routed topics can still carry other event types; the event-type header lets
+  // us drop those without parsing them. Messages without the header are parsed.
+  function isHandledType(message) {
+    const eventType = readHeader(message, HEADERS.eventType);
+    return eventType === undefined || eventType in handlers;
+  }
+
+  // Returns null for a message that can't be decoded, after dead-lettering it
+  // as received; retrying it can't help
+  async function parseEvent(topic, partition, message) {
+    let event;
+    try {
+      event = serialization.decode(message);
+      if (!event || !event.eventId) {
+        throw new Error("Message is not an event envelope");
+      }
+    } catch (err) {
+      await moveUndecodableToDeadLetter(topic, partition, message, err);
+      return null;
+    }
+
+    console.log({
+      service: name,
+      type: "EVENT_RECEIVED",
+      eventId: event.eventId,
+      eventType: event.eventType,
+      correlationId: readHeader(message, HEADERS.correlationId),
+      retryAttempt: retryTopics.readAttempt(message),
+    });
+
+    return event;
+  }
+
+  // Runs the handler once. A failure is handed to the next retry tier of the
+  // topic it came from, or to the dead-letter table once retries are exhausted;
+  // it never sleeps in place.
+  async function processEvent(event, message, attempt, baseTopic) {
+    const eventId = event.eventId;
+    const handler = handlers[event.eventType];
+
+    if (!handler) {
+      console.log({
+        service: name,
+        type: "SKIPPED_EVENT_TYPE",
+        eventType: event.eventType,
+      });
+      return;
+    }
+
+    if (await isProcessed(name, eventId)) {
+      console.log({
+        service: name,
+        type: "DUPLICATE_EVENT",
+        eventId,
+      });
+      metrics.duplicatesSkipped.inc({ consumer: name });
+      return;
+    }
+
+    // A payload we can't read won't get better with retries: dead-letter it now,
+    // keeping its original version so it can be replayed once we understand it
+    try {
+      event = upcastEvent(event, message);
+    } catch (err) {
+      if (!(err instanceof schemaRegistry.EventSchemaError || err instanceof schemaRegistry.UnknownSchemaError)) {
+        throw err;
+      }
+      console.error({
+        service: name,
+        type: "REJECTED_EVENT",
+        eventId,
+        eventType: event.eventType,
+        error: err.message,
+      });
+      await moveToDeadLetter({ ...event, schemaVersion: schemaVersionOf(event, message) }, err, attempt);
+      return;
+    }
+
+    try {
+      await handler(event, {
+        correlationId: readHeader(message, HEADERS.correlationId),
+        attempt,
+        processedEvent: { eventId, consumerName: name },
+        processOnce: work => processOnce(name, eventId, work),
+      });
+
+      console.log({
+        service: name,
+        type: "PROCESSING_SUCCESS",
+        eventId,
+        retriesUsed: attempt,
+      });
+    } catch (err) {
+      // The dependency is known to be down: keep the retry, the caller pauses the partition
+      if (err instanceof CircuitOpenError) {
+        throw err;
+      }
+
+      const retryCount = attempt + 1;
+
+      console.error({
+        service: name,
+        type: "PROCESSING_ERROR",
+        eventId,
+        retryCount,
+        error: err.message,
+      });
+
+      // Errors marked non-retryable (e.g. the provider rejected the request) skip the retry tiers
+      if (retryCount > retryTopics.config.maxRetries || err.retryable === false) {
+        await moveToDeadLetter(event, err, attempt);
+        return;
+      }
+
+      // If this publish fails the error propagates and Kafka redelivers the message
+      const { topic, delayMs } = await retryTopics.scheduleRetry(
+        producer,
+        { baseTopic, consumerName: name },
+        message,
+        retryCount,
+        err
+      );
+      metrics.retriedEvents.inc({ consumer: name, event_type: event.eventType });
+
+      console.log({
+        service: name,
+        type: "RETRY_SCHEDULED",
+        eventId,
+        retryCount,
+        maxRetries: retryTopics.config.maxRetries,
+        retryTopic: topic,
+        delayMs,
+      });
+    }
+  }
+
+  async function moveToDeadLetter(event, err, retriesAttempted) {
+    console.error({
+      service: name,
+      type: "DLQ_EVENT",
+      eventId: event.eventId,
+      reason: err.message,
+      retriesAttempted,
+    });
+
+    try {
+      await db.query(`
+        INSERT INTO dead_letter_events (
+          event_id,
+          event_type,
+          aggregate_id,
+          payload,
+          schema_version,
+          reason,
+          consumer_name
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (event_id, consumer_name) DO UPDATE
+          SET status = 'PENDING', reason = EXCLUDED.reason, failed_at = now()
+          WHERE dead_letter_events.status = 'REPLAYED'
+      `, [
+        event.eventId,
+        event.eventType,
+        event.aggregateId,
+        JSON.stringify(event.payload),
+        event.schemaVersion || null,
+        err.message,
+        name,
+      ]);
+
+      metrics.dlqEvents.inc({ consumer: name, event_type: event.eventType });
+    } catch (dlqErr) {
+      console.error({
+        service: name,
+        type: "DLQ_INSERT_ERROR",
+        eventId: event.eventId,
+        error: dlqErr.message,
+      });
+    }
+  }
+
+  // The raw value and headers are kept so the entry can be replayed once the
+  // consumer can decode it. Unlike moveToDeadLetter() a failed insert is
+  // thrown: the message exists nowhere else, so Kafka has to redeliver it.
+  async function moveUndecodableToDeadLetter(topic, partition, message, err) {
+    const headerEventId = readHeader(message, HEADERS.eventId);
+    const eventId = isUuid(headerEventId || "")
+      ? headerEventId
+      : uuidv5(`${topic}:${partition}:${message.offset}`, UNDECODABLE_MESSAGE_NAMESPACE);
+    const eventType = readHeader(message, HEADERS.eventType) || null;
+    const key = message.key ? message.key.toString() : "";
+    const reason = `DECODE_FAILED: ${err.message}`;
+
+    console.error({
+      service: name,
+      type: "DLQ_EVENT",
+      eventId,
+      eventType,
+      topic,
+      partition,
+      offset: message.offset,
+      reason,
+    });
+
+    await db.query(`
+      INSERT INTO dead_letter_events (
+        event_id,
+        event_type,
+        aggregate_id,
+        reason,
+        consumer_name,
+        raw_value,
+        raw_headers
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (event_id, consumer_name) DO UPDATE
+        SET status = 'PENDING', reason = EXCLUDED.reason, failed_at = now()
+        WHERE dead_letter_events.status = 'REPLAYED'
+    `, [
+      eventId,
+      eventType,
+      isUuid(key) ? key : null,
+      reason,
+      name,
+      message.value,
+      JSON.stringify(Object.fromEntries(
+        Object.keys(message.headers || {}).map(header => [header, readHeader(message, header)])
+      )),
+    ]);
+
+    metrics.dlqEvents.inc({ consumer: name, event_type: eventType || "unknown" });
+  }
+
+  // Main topic handler for one message of a batch
+  async function handleMessage(topic, partition, message) {
+    if (!isHandledType(message)) {
+      return;
+    }
+    if (breaker) {
+      breaker.assertCallPermitted();
+    }
+    const event = await parseEvent(topic, partition, message);
+    if (!event) {
+      return;
+    }
+
+    metrics.eventsProcessed.inc({ consumer: name, event_type: event.eventType });
+    await processEvent(event, message, 0, topic);
+  }
+
+  // Stops fetching from the partition and rewinds it to `offset`, so the event
+  // there is handled again once calls go through, without using up a retry
+  function pausePartition(kafkaConsumer, topic, partition, offset) {
+    kafkaConsumer.pause([{ topic, partitions: [partition] }]);
+    kafkaConsumer.seek({ topic, partition, offset });
+    pausedPartitions.set(`${topic}:${partition}`, { kafkaConsumer, topic, partition });
+    metrics.pausedPartitions.set({ consumer: name }, pausedPartitions.size);
+
+    console.log({
+      service: name,
+      type: "PARTITION_PAUSED",
+      topic,
+      partition,
+      offset,
+      retryAfterMs: breaker.retryAfterMs(),
+    });
+    scheduleResume();
+  }
+
+  // Everything resumes when the next probe is due; the first event through
+  // becomes the probe and the rest pause again until it settles
+  function scheduleResume() {
+    clearTimeout(resumeTimer);
+    if (pausedPartitions.size > 0) {
+      resumeTimer = setTimeout(resumePaused, breaker.retryAfterMs()).unref();
+    }
+  }
+
+  function resumePaused() {
+    clearTimeout(resumeTimer);
+    for (const { kafkaConsumer, topic, partition } of pausedPartitions.values()) {
+      kafkaConsumer.resume([{ topic, partitions: [partition] }]);
+      console.log({
+        service: name,
+        type: "PARTITION_RESUMED",
+        topic,
+        partition,
+      });
+    }
+    pausedPartitions.clear();
+    metrics.pausedPartitions.set({ consumer: name }, 0);
+  }
+
+  // Runs `handle` unless the circuit is open. If it is, or it opens while the
+  // handler runs, the partition is paused at this message instead.
+  async function unlessCircuitOpen(kafkaConsumer, { topic, partition, message }, handle) {
+    try {
+      if (breaker) {
+        breaker.assertCallPermitted();
+      }
+      await handle();
+    } catch (err) {
+      if (!(err instanceof CircuitOpenError)) {
+        throw err;
+      }
+      pausePartition(kafkaConsumer, topic, partition, message.offset);
+    }
+  }
+
+  // The topic a replayed event goes back through: where its type is routed,
+  // or the first topic this consumer reads if it was given other topics or
+  // the type is unknown
+  function replayBaseTopic(eventType) {
+    const routed = eventType ? topicFor(aggregateType, eventType) : null;
+    return inputTopics.includes(routed) ? routed : inputTopics[0];
+  }
+
+  // The message to replay: an undecodable one as it was received, anything
+  // else rebuilt from the stored event
+  function replayMessage(row, baseTopic) {
+    if (row.raw_value) {
+      return { key: row.aggregate_id, value: row.raw_value, headers: row.raw_headers || {} };
+    }
+
+    const { value, headers } = serialization.encode(baseTopic, {
+      eventId: row.event_id,
+      eventType: row.event_type,
+      aggregateType,
+      aggregateId: row.aggregate_id,
+      schemaVersion: row.schema_version || 1,
+      payload: row.payload,
+      createdAt: new Date().toISOString(),
+    });
+    return {
+      key: row.aggregate_id,
+      value,
+      headers: {
+        ...eventHeaders({
+          event_type: row.event_type,
+          event_id: row.event_id,
+          aggregate_type: aggregateType,
+          schema_version: row.schema_version || 1,
+          correlation_id: row.last_replay_correlation_id,
+        }),
+        ...headers,
+      },
+    };
+  }
+
+  // Publishes the replays operators requested for this consumer's entries.
+  // The rows stay locked until they are published, so instances don't both
+  // send one; a crash after publishing sends it again, and the
+  // processed_events check drops the second copy.
+  async function publishRequestedReplays() {
+    const client = await db.getClient();
+    try {
+      await client.query("BEGIN");
+      const { rows } = await client.query(
+        `SELECT event_id, event_type, aggregate_id, payload, schema_version, last_replay_correlation_id,
+                raw_value, raw_headers
+         FROM dead_letter_events
+         WHERE consumer_name = $1 AND replay_requested
+         ORDER BY last_replayed_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED`,
+        [name, DLQ_REPLAY_BATCH_SIZE]
+      );
+
+      for (const row of rows) {
+        const baseTopic = replayBaseTopic(row.event_type);
+        const { topic } = await retryTopics.scheduleReplay(
+          producer,
+          { baseTopic, consumerName: name },
+          replayMessage(row, baseTopic)
+        );
+        metrics.replayedEvents.inc({ consumer: name, event_type: row.event_type });
+
+        console.log({
+          service: name,
+          type: "DLQ_REPLAY_SCHEDULED",
+          eventId: row.event_id,
+          correlationId: row.last_replay_correlation_id || undefined,
+          retryTopic: topic,
+        });
+      }
+
+      if (rows.length > 0) {
+        await client.query(
+          `UPDATE dead_letter_events SET replay_requested = false
+           WHERE consumer_name = $1 AND event_id = ANY($2)`,
+          [name, rows.map(row => row.event_id)]
+        );
+      }
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function runRequestedReplays() {
+    try {
+      await publishRequestedReplays();
+    } catch (err) {
+      console.error({
+        service: name,
+        type: "DLQ_REPLAY_ERROR",
+        error: err.message,
+      });
+    }
+  }
+
+  async function runProcessedEventsCleanup() {
+    try {
+      const removed = await cleanupProcessedEvents(name, { signal });
+      if (removed > 0) {
+        console.log({
+          service: name,
+          type: "PROCESSED_EVENTS_CLEANUP",
+          removed,
+        });
+      }
+    } catch (err) {
+      console.error({
+        service: name,
+        type: "PROCESSED_EVENTS_CLEANUP_ERROR",
+        error: err.message,
+      });
+    }
+  }
+
+  async function start() {
+    await producer.connect();
+    await consumer.connect();
+    await consumer.subscribe({ topics: inputTopics, fromBeginning: true });
+    await retryConsumer.connect();
+    await retryConsumer.subscribe({
+      topics: inputTopics.flatMap(topic => retryTopics.retryTopicNames(topic, name)),
+      fromBeginning: true,
+    });
+    console.log({
+      service: name,
+      type: "STARTUP",
+      message: `${name} connected to Kafka and subscribed to ${inputTopics.join(", ")} and their retry topics`,
+    });
+
+    // Independent keys run at once; events of one key still run in order.
+    // Offsets only move past fully handled messages (see keyedBatch.js).
+    await consumer.run({
+      partitionsConsumedConcurrently: partitionConcurrency,
+      eachBatchAutoResolve: false,
+      eachBatch: async (payload) => {
+        const { topic, partition } = payload.batch;
+        const { error, nextOffset } = await processBatchByKey(
+          payload,
+          message => handleMessage(topic, partition, message),
+          { concurrency: keyConcurrency }
+        );
+        if (!error) {
+          return;
+        }
+        if (error instanceof CircuitOpenError) {
+          pausePartition(consumer, topic, partition, nextOffset);
+          return;
+        }
+        // Kafka fetches again from the first unresolved offset
+        throw error;
+      },
+    });
+
+    // One partition per tier topic can wait on its head message at the same time
+    await retryConsumer.run({
+      partitionsConsumedConcurrently: retryTopics.config.tiers.length,
+      eachMessage: async (payload) => {
+        const { topic, partition, message, heartbeat } = payload;
+        await retryTopics.waitUntilDue(message, heartbeat, signal);
+        await unlessCircuitOpen(retryConsumer, payload, async () => {
+          const event = await parseEvent(topic, partition, message);
+          if (!event) {
+            return;
+          }
+          await processEvent(event, message, retryTopics.readAttempt(message), retryTopics.readOriginalTopic(message));
+        });
+      },
+    });
+
+    cleanupTimer = setInterval(() => {
+      cleanup = cleanup.then(runProcessedEventsCleanup);
+    }, PROCESSED_EVENTS_CLEANUP_INTERVAL_MS).unref();
+
+    replayTimer = setInterval(() => {
+      replays = replays.then(runRequestedReplays);
+    }, DLQ_REPLAY_POLL_INTERVAL_MS).unref();
+  }
+
+  // disconnect() stops fetching, waits for the messages in flight, commits
+  // offsets and leaves the group. Retry waits end through `signal` and are
+  // redelivered after restart. The producer goes last because handlers
+  // publish retries through it.
+  async function stop() {
+    clearInterval(cleanupTimer);
+    clearInterval(replayTimer);
+    clearTimeout(resumeTimer);
+    await cleanup;
+    await replays;
+    await Promise.all([
+      consumer.disconnect(),
+      retryConsumer.disconnect(),
+    ]);
+    await producer.disconnect();
+  }
+
+  return {
+    name,
+    topics: inputTopics,
+    start,
+    stop,
+    resumePaused,
+    scheduleResume,
+    // For /healthz and /readyz, keyed like the other runChecks() entries
+    livenessChecks: {
+      kafkaConsumer: consumerHealth.liveness,
+      kafkaRetryConsumer: retryConsumerHealth.liveness,
+    },
+    readinessChecks: {
+      kafkaConsumer: consumerHealth.readiness,
+      kafkaRetryConsumer: retryConsumerHealth.readiness,
+      kafkaProducer: kafkaProducerCheck,
+    },
+  };
+}
+
+module.exports = { createEventConsumer };
@@ -0,0 +1,99 @@
+const db = require("../../db/connection");
+
+// Idempotent consumer: Kafka delivers at least once, so every consumer records
+// the events it has handled in processed_events, keyed by (event_id,
+// consumer_name). Each consumer type has its own rows; a notification
+// consumer handling an event doesn't hide it from the payment worker.
+//
+// New handlers whose work is all in Postgres wrap it in processOnce(). Handlers
+// with a side effect that can't join the transaction (the payment worker's
+// provider calls) use isProcessed() up front and markProcessed() in the
+// transaction that records the outcome.
+//
+// Rows older than PROCESSED_EVENTS_RETENTION_DAYS are removed by
+// cleanupProcessedEvents(). Keep it longer than the topics' retention, or a
+// message replayed from Kafka after its row is gone is handled again.
+
+const RETENTION_DAYS = Number(process.env.PROCESSED_EVENTS_RETENTION_DAYS) || 14;
+const CLEANUP_BATCH_SIZE = Number(process.env.PROCESSED_EVENTS_CLEANUP_BATCH_SIZE) || 1000;
+
+async function isProcessed(consumerName, eventId, client = db) {
+  const result = await client.query(
+    `SELECT 1 FROM processed_events WHERE event_id = $1 AND consumer_name = $2`,
+    [eventId, consumerName]
+  );
+  return result.rowCount > 0;
+}
+
+// Returns false if the event was already marked for this consumer. Call it
+// inside the transaction that does the work, so both commit or neither does.
+async function markProcessed(client, consumerName, eventId) {
+  const result = await client.query(`
+    INSERT INTO processed_events (event_id, consumer_name)
+    VALUES ($1, $2)
+    ON CONFLICT (event_id, consumer_name) DO NOTHING
+  `, [eventId, consumerName]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Runs `work(client)` at most once per event and consumer: marks the event
+ * processed, does the work and commits, all in one transaction.
+ *
+ * The marker is inserted first, so a concurrent delivery of the same event
+ * waits on its row lock and then sees a duplicate. If `work` throws, the
+ * transaction (marker included) rolls back and the event can be handled
+ * again.
+ *
+ * Returns `{ duplicate: true }` for an event already handled, otherwise
+ * `{ duplicate: false, result }` with whatever `work` returned.
+ */
+async function processOnce(consumerName, eventId, work) {
+  const client = await db.getClient();
+  try {
+    await client.query("BEGIN");
+    if (!(await markProcessed(client, consumerName, eventId))) {
+      await client.query("ROLLBACK");
+      return { duplicate: true };
+    }
+    const result = await work(client);
+    await client.query("COMMIT");
+    return { duplicate: false, result };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Deletes this consumer's markers past retention in batches. Returns the
+// number removed; stops between batches once `signal` is aborted.
+async function cleanupProcessedEvents(consumerName, { signal } = {}) {
+  let total = 0;
+
+  while (!(signal && signal.aborted)) {
+    const result = await db.query(`
+      DELETE FROM processed_events
+      WHERE (event_id, consumer_name) IN (
+        SELECT event_id, consumer_name FROM processed_events
+        WHERE consumer_name = $1
+          AND processed_at < now() - $2 * interval '1 day'
+        LIMIT $3
+      )
+    `, [consumerName, RETENTION_DAYS, CLEANUP_BATCH_SIZE]);
+    total += result.rowCount;
+    if (result.rowCount < CLEANUP_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return total;
+}
+
+module.exports = {
+  isProcessed,
+  markProcessed,
+  processOnce,
+  cleanupProcessedEvents,
+};
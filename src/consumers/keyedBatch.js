@@ -0,0 +1,95 @@
+// Handles an eachBatch batch with several messages in flight while keeping
+// Kafka's per-key ordering: messages are queued by key, up to `concurrency`
+// keys are worked on at once, and each key's messages run one at a time in
+// offset order. Messages without a key get a queue of their own.
+//
+// Offsets are resolved only up to the first message that hasn't finished,
+// so a commit never skips work. Anything past that point is fetched again
+// after a crash or rebalance, including messages of other keys that had
+// already finished; handlers must be idempotent (they are: processed_events
+// and the order state checks).
+
+function keyOf(message) {
+  return message.key === null || message.key === undefined ? null : message.key.toString();
+}
+
+// Message indexes grouped by key, keys in order of their first message
+function queuesByKey(messages) {
+  const queues = new Map();
+  messages.forEach((message, index) => {
+    const key = keyOf(message) ?? `offset:${message.offset}`;
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+    queues.get(key).push(index);
+  });
+  return [...queues.values()];
+}
+
+/**
+ * Runs `handle(message)` for every message of `payload.batch` (the eachBatch
+ * payload, with eachBatchAutoResolve off).
+ *
+ * If `handle` throws, no new messages are started, the ones in flight finish
+ * and `{ error, nextOffset }` is returned, where nextOffset is the first offset
+ * that still needs handling. New messages also stop when the consumer stops
+ * running or the batch goes stale (rebalance, seek); those are simply left
+ * unresolved. Returns `{ error: null }` otherwise.
+ */
+async function processBatchByKey(payload, handle, { concurrency }) {
+  const { batch, resolveOffset, heartbeat, commitOffsetsIfNecessary, isRunning, isStale } = payload;
+  const messages = batch.messages;
+  const finished = new Array(messages.length).fill(false);
+  const queues = queuesByKey(messages);
+  let firstUnfinished = 0;
+  let nextQueue = 0;
+  let error = null;
+
+  function shouldStop() {
+    return error !== null || !isRunning() || isStale();
+  }
+
+  // Resolve the contiguous prefix of finished messages
+  function advance() {
+    while (firstUnfinished < messages.length && finished[firstUnfinished]) {
+      resolveOffset(messages[firstUnfinished].offset);
+      firstUnfinished++;
+    }
+  }
+
+  async function drainQueue(indexes) {
+    for (const index of indexes) {
+      if (shouldStop()) {
+        return;
+      }
+      try {
+        await handle(messages[index]);
+        finished[index] = true;
+        advance();
+        // Throws while the group rebalances; stop and let the caller rethrow
+        await heartbeat();
+      } catch (err) {
+        error = error || err;
+        return;
+      }
+    }
+  }
+
+  async function runQueues() {
+    while (nextQueue < queues.length && !shouldStop()) {
+      await drainQueue(queues[nextQueue++]);
+    }
+  }
+
+  const runners = Math.min(Math.max(1, concurrency), queues.length);
+  await Promise.all(Array.from({ length: runners }, runQueues));
+  await commitOffsetsIfNecessary();
+
+  if (!error) {
+    return { error: null };
+  }
+  const next = messages[firstUnfinished];
+  return { error, nextOffset: next ? next.offset : null };
+}
+
+module.exports = { processBatchByKey };
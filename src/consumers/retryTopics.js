@@ -0,0 +1,176 @@
+const { setTimeout } = require("timers/promises");
+
+// Non-blocking retries: a failed event is republished to a delay topic instead
+// of sleeping in the handler, so the main partition keeps moving.
+//
+// Attempt n waits baseDelay * multiplier^(n-1) (capped) and goes to the largest
+// tier topic whose delay fits; jitter is added after, within that tier. Each
+// consumer has its own tier topics
+// (e.g. order-events.payment-worker.retry.30s), so a retry reaches only the
+// consumer that failed. The exact due time and attempt count travel in headers;
+// the delay consumer waits for the due time before handing the event back to
+// the handler.
+
+const HEADER_ATTEMPT = "x-retry-attempt";
+const HEADER_DUE_AT = "x-retry-due-at";
+const HEADER_ORIGINAL_TOPIC = "x-original-topic";
+const HEADER_LAST_ERROR = "x-last-error";
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+function parseTiers(spec) {
+  return spec
+    .split(",")
+    .map(label => label.trim())
+    .filter(Boolean)
+    .map(label => {
+      const match = /^(\d+)(ms|s|m|h)$/.exec(label);
+      if (!match) {
+        throw new Error(`Invalid retry tier "${label}", expected e.g. 5s, 30s, 5m`);
+      }
+      return { label, delayMs: Number(match[1]) * DURATION_UNITS[match[2]] };
+    })
+    .sort((a, b) => a.delayMs - b.delayMs);
+}
+
+function numberFromEnv(name, fallback) {
+  return process.env[name] !== undefined ? Number(process.env[name]) : fallback;
+}
+
+const config = {
+  maxRetries: numberFromEnv("RETRY_MAX_RETRIES", 3),
+  baseDelayMs: numberFromEnv("RETRY_BASE_DELAY_MS", 5000),
+  multiplier: numberFromEnv("RETRY_BACKOFF_MULTIPLIER", 6),
+  maxDelayMs: numberFromEnv("RETRY_MAX_DELAY_MS", 5 * 60 * 1000),
+  jitterRatio: numberFromEnv("RETRY_JITTER_RATIO", 0.2),
+  tiers: parseTiers(process.env.RETRY_TOPIC_TIERS || "5s,30s,5m"),
+};
+
+function retryTopicName(baseTopic, consumerName, tier) {
+  return `${baseTopic}.${consumerName}.retry.${tier.label}`;
+}
+
+function retryTopicNames(baseTopic, consumerName) {
+  return config.tiers.map(tier => retryTopicName(baseTopic, consumerName, tier));
+}
+
+function backoffDelay(attempt) {
+  const exponential = config.baseDelayMs * Math.pow(config.multiplier, attempt - 1);
+  return Math.min(exponential, config.maxDelayMs);
+}
+
+// Index of the largest tier whose delay fits, or of the shortest tier
+function tierIndexFor(delayMs) {
+  let chosen = 0;
+  config.tiers.forEach((tier, index) => {
+    if (tier.delayMs <= delayMs) {
+      chosen = index;
+    }
+  });
+  return chosen;
+}
+
+// The attempt's backoff picks the tier. Jitter then adds up to jitterRatio of
+// it so retries don't arrive in lockstep, but stops short of the next tier's
+// delay: a tier topic never holds a message due much later than the rest.
+function retryDelay(attempt) {
+  const delayMs = backoffDelay(attempt);
+  const index = tierIndexFor(delayMs);
+  const next = config.tiers[index + 1];
+  const jittered = Math.round(delayMs * (1 + config.jitterRatio * Math.random()));
+  return {
+    tier: config.tiers[index],
+    delayMs: next ? Math.min(jittered, Math.max(delayMs, next.delayMs - 1)) : jittered,
+  };
+}
+
+function readHeader(message, name) {
+  const value = message.headers && message.headers[name];
+  return value === undefined ? undefined : value.toString();
+}
+
+// 0 for a first delivery from the main topic
+function readAttempt(message) {
+  return Number(readHeader(message, HEADER_ATTEMPT)) || 0;
+}
+
+// Topic the event was first consumed from, for messages on a retry topic
+function readOriginalTopic(message) {
+  return readHeader(message, HEADER_ORIGINAL_TOPIC);
+}
+
+async function scheduleRetry(producer, { baseTopic, consumerName }, message, attempt, err) {
+  const { tier, delayMs } = retryDelay(attempt);
+  const topic = retryTopicName(baseTopic, consumerName, tier);
+  const dueAt = Date.now() + delayMs;
+
+  await producer.send({
+    topic,
+    messages: [
+      {
+        key: message.key,
+        value: message.value,
+        headers: {
+          ...message.headers,
+          [HEADER_ATTEMPT]: String(attempt),
+          [HEADER_DUE_AT]: String(dueAt),
+          [HEADER_ORIGINAL_TOPIC]: readHeader(message, HEADER_ORIGINAL_TOPIC) || baseTopic,
+          [HEADER_LAST_ERROR]: String(err.message).slice(0, 500),
+        },
+      },
+    ],
+  });
+
+  return { topic, delayMs, dueAt };
+}
+
+// Hands a dead-lettered event back to the consumer that gave up on it: onto
+// its shortest tier, due at once, as a first delivery
+async function scheduleReplay(producer, { baseTopic, consumerName }, message) {
+  const topic = retryTopicName(baseTopic, consumerName, config.tiers[0]);
+
+  await producer.send({
+    topic,
+    messages: [
+      {
+        key: message.key,
+        value: message.value,
+        headers: {
+          ...message.headers,
+          [HEADER_ATTEMPT]: "0",
+          [HEADER_DUE_AT]: String(Date.now()),
+          [HEADER_ORIGINAL_TOPIC]: baseTopic,
+        },
+      },
+    ],
+  });
+
+  return { topic };
+}
+
+// Blocks until the message's due time, heartbeating so the group doesn't evict us.
+// Tier topics hold messages with similar delays, so waiting on the head of a
+// partition only holds back messages that are due later anyway.
+//
+// If `signal` aborts (shutdown) this throws instead of returning, so the
+// message's offset is not committed and it is redelivered after restart.
+async function waitUntilDue(message, heartbeat, signal) {
+  const dueAt = Number(readHeader(message, HEADER_DUE_AT)) || 0;
+
+  let remaining = dueAt - Date.now();
+  while (remaining > 0) {
+    await setTimeout(Math.min(remaining, 3000), undefined, { signal });
+    await heartbeat();
+    remaining = dueAt - Date.now();
+  }
+}
+
+module.exports = {
+  config,
+  retryTopicNames,
+  readAttempt,
+  readOriginalTopic,
+  scheduleRetry,
+  scheduleReplay,
+  waitUntilDue,
+};
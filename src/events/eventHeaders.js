@@ -0,0 +1,35 @@
+// Kafka headers the publisher sets on every event, so consumers can route and
+// filter on them without parsing the JSON value.
+const HEADERS = {
+  eventType: "event-type",
+  eventId: "event-id",
+  aggregateType: "aggregate-type",
+  schemaVersion: "schema-version",
+  correlationId: "correlation-id",
+  // json or avro, set by serialization.js
+  encoding: "event-encoding",
+};
+
+function eventHeaders(row) {
+  const headers = {
+    [HEADERS.eventType]: row.event_type,
+    [HEADERS.eventId]: row.event_id,
+    [HEADERS.aggregateType]: row.aggregate_type,
+    [HEADERS.schemaVersion]: String(row.schema_version),
+  };
+  if (row.correlation_id) {
+    headers[HEADERS.correlationId] = row.correlation_id;
+  }
+  return headers;
+}
+
+function readHeader(message, name) {
+  const value = message.headers && message.headers[name];
+  return value === undefined ? undefined : value.toString();
+}
+
+module.exports = {
+  HEADERS,
+  eventHeaders,
+  readHeader,
+};
@@ -0,0 +1,69 @@
+// Payload schemas for every event type written to the outbox, by version.
+//
+// Bump the version whenever a payload changes shape: add the new schema, keep
+// the old ones, and add an upcaster that turns version n into n + 1 so
+// consumers can still read events written before the change.
+
+const uuid = { type: "string", format: "uuid" };
+const currency = { type: "string", pattern: "^[A-Z]{3}$" };
+// NUMERIC columns come back from pg as strings, e.g. "42.50"
+const decimalString = { type: "string", pattern: "^\\d+(\\.\\d{1,2})?$" };
+
+function objectSchema(properties, required) {
+  return { type: "object", properties, required, additionalProperties: false };
+}
+
+const orderOnly = objectSchema({ orderId: uuid }, ["orderId"]);
+
+const cancellation = objectSchema(
+  { orderId: uuid, amount: decimalString, currency, reason: { type: ["string", "null"] } },
+  ["orderId", "amount", "currency", "reason"]
+);
+
+const refund = objectSchema(
+  { orderId: uuid, refundId: { type: "string", minLength: 1 }, amount: decimalString },
+  ["orderId", "refundId", "amount"]
+);
+
+const refundFailure = objectSchema(
+  { orderId: uuid, amount: decimalString, declineCode: { type: ["string", "null"] } },
+  ["orderId", "amount", "declineCode"]
+);
+
+const EVENT_SCHEMAS = {
+  OrderCreated: {
+    versions: {
+      // Written before orders had a currency
+      1: objectSchema(
+        { orderId: uuid, userId: uuid, amount: { type: "number", exclusiveMinimum: 0 }, currency },
+        ["orderId", "userId", "amount"]
+      ),
+      2: objectSchema(
+        { orderId: uuid, userId: uuid, amount: { type: "number", exclusiveMinimum: 0 }, currency },
+        ["orderId", "userId", "amount", "currency"]
+      ),
+    },
+    upcasters: {
+      // Orders created before the currency column defaulted to USD
+      1: payload => ({ ...payload, currency: payload.currency || "USD" }),
+    },
+  },
+  OrderPaid: { versions: { 1: orderOnly } },
+  OrderFailed: {
+    versions: {
+      1: orderOnly,
+      // declineCode is null when the failure wasn't a provider decline
+      2: objectSchema({ orderId: uuid, declineCode: { type: ["string", "null"] } }, ["orderId", "declineCode"]),
+    },
+    upcasters: {
+      1: payload => ({ ...payload, declineCode: null }),
+    },
+  },
+  OrderCancelled: { versions: { 1: cancellation } },
+  OrderCancellationRequested: { versions: { 1: cancellation } },
+  RefundIssued: { versions: { 1: refund } },
+  OrderRefunded: { versions: { 1: refund } },
+  RefundFailed: { versions: { 1: refundFailure } },
+};
+
+module.exports = { EVENT_SCHEMAS };
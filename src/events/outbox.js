@@ -0,0 +1,38 @@
+const schemaRegistry = require("./schemaRegistry");
+
+// Every outbox insert goes through here, so a payload that doesn't match its
+// event type's current schema is rejected before it is written, and each row
+// records the schema version it was written with.
+//
+// Runs in the caller's transaction. Throws EventSchemaError/UnknownSchemaError.
+async function insertOutboxEvent(client, { eventId, aggregateType, aggregateId, eventType, payload, correlationId }) {
+  const schemaVersion = schemaRegistry.validateForWrite(eventType, payload);
+
+  await client.query(
+    `
+    INSERT INTO outbox (
+      event_id,
+      aggregate_type,
+      aggregate_id,
+      event_type,
+      payload,
+      schema_version,
+      correlation_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+    [
+      eventId,
+      aggregateType,
+      aggregateId,
+      eventType,
+      JSON.stringify(payload),
+      schemaVersion,
+      correlationId || null,
+    ]
+  );
+
+  return { eventId, eventType, schemaVersion };
+}
+
+module.exports = { insertOutboxEvent };
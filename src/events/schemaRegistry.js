@@ -0,0 +1,106 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { EVENT_SCHEMAS } = require("./eventSchemas");
+
+// The payload doesn't match the schema for its event type and version
+class EventSchemaError extends Error {
+  constructor(eventType, version, details) {
+    super(`${eventType} v${version} payload is invalid: ${details.map(d => `${d.field} ${d.message}`).join(", ")}`);
+    this.name = "EventSchemaError";
+    this.code = "EVENT_SCHEMA_INVALID";
+    this.eventType = eventType;
+    this.version = version;
+    this.details = details;
+  }
+}
+
+// No schema registered for the event type, or for that version of it (e.g. a
+// newer producer is already emitting a version this process doesn't know yet)
+class UnknownSchemaError extends Error {
+  constructor(eventType, version) {
+    super(version === undefined
+      ? `No schema registered for event type ${eventType}`
+      : `No schema registered for ${eventType} v${version}`);
+    this.name = "UnknownSchemaError";
+    this.code = "UNKNOWN_EVENT_SCHEMA";
+    this.eventType = eventType;
+    this.version = version;
+  }
+}
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+// Compiled once at startup: eventType -> { currentVersion, validators, upcasters }
+const registry = {};
+for (const [eventType, definition] of Object.entries(EVENT_SCHEMAS)) {
+  const versions = Object.keys(definition.versions).map(Number).sort((a, b) => a - b);
+  const validators = {};
+  for (const version of versions) {
+    validators[version] = ajv.compile(definition.versions[version]);
+  }
+  registry[eventType] = {
+    currentVersion: versions[versions.length - 1],
+    validators,
+    upcasters: definition.upcasters || {},
+  };
+}
+
+function entryFor(eventType) {
+  const entry = registry[eventType];
+  if (!entry) {
+    throw new UnknownSchemaError(eventType);
+  }
+  return entry;
+}
+
+function currentVersion(eventType) {
+  return entryFor(eventType).currentVersion;
+}
+
+function validate(eventType, version, payload) {
+  const validator = entryFor(eventType).validators[version];
+  if (!validator) {
+    throw new UnknownSchemaError(eventType, version);
+  }
+  if (!validator(payload)) {
+    throw new EventSchemaError(eventType, version, validator.errors.map(error => ({
+      field: `payload${error.instancePath.replace(/\//g, ".")}`,
+      message: error.message,
+    })));
+  }
+}
+
+// Checks a payload about to be written against the current schema and returns
+// the version to stamp on it. Validates the JSON form, since that is what is
+// stored and published (e.g. undefined properties are dropped).
+function validateForWrite(eventType, payload) {
+  const version = currentVersion(eventType);
+  validate(eventType, version, JSON.parse(JSON.stringify(payload)));
+  return version;
+}
+
+// Validates a payload at the version it was written with and upcasts it, one
+// version at a time, to the current schema. Throws UnknownSchemaError for
+// versions this process doesn't know and EventSchemaError for bad payloads.
+function upcast(eventType, version, payload) {
+  const entry = entryFor(eventType);
+  validate(eventType, version, payload);
+
+  let upcasted = payload;
+  for (let from = version; from < entry.currentVersion; from++) {
+    upcasted = entry.upcasters[from](upcasted);
+  }
+  if (version !== entry.currentVersion) {
+    validate(eventType, entry.currentVersion, upcasted);
+  }
+  return upcasted;
+}
+
+module.exports = {
+  EventSchemaError,
+  UnknownSchemaError,
+  currentVersion,
+  validateForWrite,
+  upcast,
+};
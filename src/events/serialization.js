@@ -0,0 +1,64 @@
+const json = require("./serializers/json");
+const avro = require("./serializers/avro");
+const { HEADERS, readHeader } = require("./eventHeaders");
+
+// Picks the wire encoding per topic and records it in the event-encoding
+// header, so a consumer can decode a topic holding both formats while it is
+// being migrated. Messages without the header are JSON.
+//
+//   KAFKA_TOPIC_ENCODINGS="order-payments=avro,order-events=json"
+//   KAFKA_DEFAULT_ENCODING=json
+
+const SERIALIZERS = { [json.name]: json, [avro.name]: avro };
+
+function parseEncodings(spec) {
+  const encodings = {};
+  for (const entry of spec.split(",").map(part => part.trim()).filter(Boolean)) {
+    const [topic, encoding] = entry.split("=").map(part => part && part.trim());
+    if (!topic || !SERIALIZERS[encoding]) {
+      throw new Error(`Invalid topic encoding "${entry}", expected e.g. order-events=avro`);
+    }
+    encodings[topic] = encoding;
+  }
+  return encodings;
+}
+
+const DEFAULT_ENCODING = process.env.KAFKA_DEFAULT_ENCODING || json.name;
+if (!SERIALIZERS[DEFAULT_ENCODING]) {
+  throw new Error(`Unknown KAFKA_DEFAULT_ENCODING "${DEFAULT_ENCODING}", expected one of ${Object.keys(SERIALIZERS).join(", ")}`);
+}
+
+const topicEncodings = parseEncodings(process.env.KAFKA_TOPIC_ENCODINGS || "");
+
+function encodingFor(topic) {
+  return topicEncodings[topic] || DEFAULT_ENCODING;
+}
+
+// Returns the message value and the header declaring its encoding
+function encode(topic, envelope) {
+  const encoding = encodingFor(topic);
+  return {
+    value: SERIALIZERS[encoding].serialize(envelope),
+    headers: { [HEADERS.encoding]: encoding },
+  };
+}
+
+// Throws if the message can't be decoded (unknown encoding, corrupt value or,
+// for Avro, no schema for its event type and version)
+function decode(message) {
+  const encoding = readHeader(message, HEADERS.encoding) || json.name;
+  const serializer = SERIALIZERS[encoding];
+  if (!serializer) {
+    throw new Error(`Unknown message encoding "${encoding}"`);
+  }
+  return serializer.deserialize(message.value, {
+    eventType: readHeader(message, HEADERS.eventType),
+    schemaVersion: Number(readHeader(message, HEADERS.schemaVersion)) || 1,
+  });
+}
+
+module.exports = {
+  encodingFor,
+  encode,
+  decode,
+};
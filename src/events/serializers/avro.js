@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const avro = require("avsc");
+const { EVENT_SCHEMAS } = require("../eventSchemas");
+
+// Avro binary envelopes. The writer schema is never sent with the message:
+// both sides look it up by the event-type and schema-version headers.
+//
+// Payload schemas are derived from the JSON Schemas in eventSchemas.js, so
+// there is nothing extra to maintain. To pin or override one, put
+// `<EventType>.v<version>.avsc` (an Avro record for the payload) in
+// AVRO_SCHEMA_DIR; no external schema registry is needed either way.
+
+const SCHEMA_DIR = process.env.AVRO_SCHEMA_DIR;
+const NAMESPACE = "orders.events";
+
+// Flat payload schemas only: scalars, nullable scalars and one level of object
+function avroTypeFor(jsonSchema, name) {
+  const types = [].concat(jsonSchema.type);
+  const nullable = types.includes("null");
+  const base = types.find(type => type !== "null");
+
+  let type;
+  switch (base) {
+    case "string": type = "string"; break;
+    case "number": type = "double"; break;
+    case "integer": type = "long"; break;
+    case "boolean": type = "boolean"; break;
+    case "object": {
+      const required = jsonSchema.required || [];
+      type = {
+        type: "record",
+        name,
+        fields: Object.entries(jsonSchema.properties).map(([field, schema]) => {
+          const fieldType = avroTypeFor(schema, `${name}_${field}`);
+          if (required.includes(field)) {
+            return { name: field, type: fieldType };
+          }
+          // Optional fields are written as null when absent
+          return { name: field, type: Array.isArray(fieldType) ? fieldType : ["null", fieldType], default: null };
+        }),
+      };
+      break;
+    }
+    default:
+      throw new Error(`Cannot derive an Avro type for ${name} (${types.join("|")})`);
+  }
+
+  return nullable ? ["null", type] : type;
+}
+
+function loadPayloadSchema(eventType, version) {
+  if (SCHEMA_DIR) {
+    const file = path.join(SCHEMA_DIR, `${eventType}.v${version}.avsc`);
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    }
+  }
+  return avroTypeFor(EVENT_SCHEMAS[eventType].versions[version], `${eventType}V${version}`);
+}
+
+// Avro has no "absent" value, so optional fields come back as null. Drop them
+// again where the JSON Schema doesn't allow null, so payloads round-trip.
+function stripAbsentFields(payload, jsonSchema) {
+  for (const [field, schema] of Object.entries(jsonSchema.properties || {})) {
+    if (payload[field] === null && ![].concat(schema.type).includes("null")) {
+      delete payload[field];
+    }
+  }
+  return payload;
+}
+
+// eventType -> version -> avsc Type for the whole envelope, built on first use
+const envelopeTypes = {};
+
+function envelopeType(eventType, version) {
+  const definition = EVENT_SCHEMAS[eventType];
+  if (!definition || !definition.versions[version]) {
+    throw new Error(`No Avro schema for ${eventType} v${version}`);
+  }
+
+  envelopeTypes[eventType] = envelopeTypes[eventType] || {};
+  if (!envelopeTypes[eventType][version]) {
+    envelopeTypes[eventType][version] = avro.Type.forSchema({
+      type: "record",
+      name: `${eventType}V${version}Event`,
+      namespace: NAMESPACE,
+      fields: [
+        { name: "eventId", type: "string" },
+        { name: "eventType", type: "string" },
+        { name: "aggregateType", type: "string" },
+        { name: "aggregateId", type: "string" },
+        { name: "schemaVersion", type: "int" },
+        { name: "payload", type: loadPayloadSchema(eventType, version) },
+        { name: "createdAt", type: "string" },
+      ],
+    });
+  }
+  return envelopeTypes[eventType][version];
+}
+
+module.exports = {
+  name: "avro",
+
+  serialize(envelope) {
+    return envelopeType(envelope.eventType, envelope.schemaVersion).toBuffer(envelope);
+  },
+
+  // Needs the event type and schema version from the message headers
+  deserialize(buffer, { eventType, schemaVersion }) {
+    const envelope = { ...envelopeType(eventType, schemaVersion).fromBuffer(buffer) };
+    envelope.payload = stripAbsentFields({ ...envelope.payload }, EVENT_SCHEMAS[eventType].versions[schemaVersion]);
+    return envelope;
+  },
+};
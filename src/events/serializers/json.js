@@ -0,0 +1,12 @@
+// The original wire format: the envelope as a JSON string
+module.exports = {
+  name: "json",
+
+  serialize(envelope) {
+    return Buffer.from(JSON.stringify(envelope));
+  },
+
+  deserialize(buffer) {
+    return JSON.parse(buffer.toString());
+  },
+};
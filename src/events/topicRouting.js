@@ -0,0 +1,62 @@
+// Maps an outbox row's aggregate_type/event_type to a Kafka topic.
+//
+// OUTBOX_TOPIC_ROUTES is a comma-separated list of `selector=topic` entries.
+// A selector is `aggregateType:eventType`, where either side may be `*`; a bare
+// `eventType` is short for `*:eventType`. Topics may contain {aggregateType}
+// and {eventType} placeholders, so `*:*=order.{eventType}` gives every event
+// type its own topic. The most specific matching entry wins (exact match, then
+// event type, then aggregate type, then `*:*`); rows matching nothing go to
+// OUTBOX_DEFAULT_TOPIC.
+//
+//   OUTBOX_TOPIC_ROUTES="OrderPaid=order-payments,order:OrderFailed=order-payments"
+//
+// The publisher and every consumer must see the same configuration, since the
+// worker subscribes to wherever its input events are routed.
+
+const DEFAULT_TOPIC = process.env.OUTBOX_DEFAULT_TOPIC || "order-events";
+
+const TOPIC_PATTERN = /^[A-Za-z0-9._\-{}]+$/;
+
+function parseRoutes(spec) {
+  return spec
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf("=");
+      const selector = separator === -1 ? "" : entry.slice(0, separator).trim();
+      const topic = separator === -1 ? "" : entry.slice(separator + 1).trim();
+      if (!selector || !TOPIC_PATTERN.test(topic)) {
+        throw new Error(`Invalid topic route "${entry}", expected e.g. order:OrderPaid=order-payments`);
+      }
+
+      const [aggregateType, eventType] = selector.includes(":") ? selector.split(":") : ["*", selector];
+      if (!aggregateType || !eventType) {
+        throw new Error(`Invalid topic route "${entry}", expected e.g. order:OrderPaid=order-payments`);
+      }
+
+      const specificity = (aggregateType !== "*" ? 1 : 0) + (eventType !== "*" ? 2 : 0);
+      return { aggregateType, eventType, topic, specificity };
+    })
+    .sort((a, b) => b.specificity - a.specificity);
+}
+
+const routes = parseRoutes(process.env.OUTBOX_TOPIC_ROUTES || "");
+
+function topicFor(aggregateType, eventType) {
+  const route = routes.find(candidate =>
+    (candidate.aggregateType === "*" || candidate.aggregateType === aggregateType) &&
+    (candidate.eventType === "*" || candidate.eventType === eventType)
+  );
+  if (!route) {
+    return DEFAULT_TOPIC;
+  }
+  return route.topic
+    .replace(/\{aggregateType\}/g, aggregateType)
+    .replace(/\{eventType\}/g, eventType);
+}
+
+module.exports = {
+  DEFAULT_TOPIC,
+  topicFor,
+};
@@ -0,0 +1,24 @@
+const crypto = require("crypto");
+const { sendError } = require("./errors");
+
+// Admin routes require `Authorization: Bearer <ADMIN_API_TOKEN>` when the token
+// is configured. Without it (local development) they are open.
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return next();
+  }
+
+  const header = req.get("Authorization") || "";
+  const provided = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : "";
+
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return sendError(res, 401, "UNAUTHORIZED", "Admin token required");
+  }
+
+  return next();
+}
+
+module.exports = { requireAdmin };
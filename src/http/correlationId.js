@@ -0,0 +1,16 @@
+const { v4: uuidv4 } = require("uuid");
+
+const HEADER = "X-Correlation-Id";
+const VALID_ID = /^[A-Za-z0-9._:-]{1,100}$/;
+
+// Takes the caller's X-Correlation-Id (or makes one up), exposes it as
+// req.correlationId and echoes it on the response. Events written while
+// handling the request carry it, and so does everything emitted downstream.
+function correlationId(req, res, next) {
+  const provided = req.get(HEADER);
+  req.correlationId = provided && VALID_ID.test(provided) ? provided : uuidv4();
+  res.set(HEADER, req.correlationId);
+  next();
+}
+
+module.exports = { correlationId };
@@ -0,0 +1,27 @@
+// Every error response from the API has the same shape:
+// { error: { code, message, details } } where details lists per-field problems.
+function sendError(res, status, code, message, details = []) {
+  return res.status(status).json({
+    error: { code, message, details },
+  });
+}
+
+// Catches errors Express raises before a route runs (malformed JSON, oversized body)
+// and anything a route forgot to handle, so they use the same format.
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "MALFORMED_JSON", "Request body is not valid JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "PAYLOAD_TOO_LARGE", "Request body is too large");
+  }
+
+  console.error("Unhandled API error:", err);
+  return sendError(res, 500, "INTERNAL_ERROR", "Internal server error");
+}
+
+module.exports = { sendError, errorHandler };
@@ -0,0 +1,50 @@
+// Keyset pagination over (timestamp, id), newest first. The cursor is an opaque
+// base64url token holding the last row's sort key.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// As Postgres prints a timestamptz (2024-05-01 10:00:00.123456+00), or as an
+// ISO 8601 string (2024-05-01T10:00:00.123Z), which older cursors hold
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-](\d{2})(:?\d{2})?)$/;
+
+function pageSize(limit) {
+  return Math.min(Number(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+}
+
+// `at` is the timestamp as Postgres prints it (select `created_at::text`), not
+// a Date: Dates stop at milliseconds, and comparing the microsecond column
+// against the truncated value would skip rows on the next page
+function encodeCursor(at, id) {
+  return Buffer.from(JSON.stringify({ at, id })).toString("base64url");
+}
+
+// Only timestamps Postgres accepts, so a tampered cursor can't reach the query
+// and fail there with a cast error
+function isTimestamp(value) {
+  const match = typeof value === "string" && TIMESTAMP_PATTERN.exec(value);
+  if (!match) {
+    return false;
+  }
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const offsetHours = match[9] === undefined ? 0 : Number(match[9]);
+  // Date.UTC rolls days past the end of the month over (2024-02-30)
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return year >= 1 && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+    hour < 24 && minute < 60 && second < 60 && offsetHours < 16;
+}
+
+// Returns { at, id } or null if the cursor is malformed
+function decodeCursor(cursor) {
+  try {
+    const { at, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!isTimestamp(at) || typeof id !== "string" || !UUID_PATTERN.test(id)) {
+      return null;
+    }
+    return { at, id };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { pageSize, encodeCursor, decodeCursor };
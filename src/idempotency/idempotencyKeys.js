@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const db = require("../../db/connection");
+
+const RETENTION_HOURS = Number(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS) || 24;
+
+// Stable JSON so {a,b} and {b,a} produce the same fingerprint
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprint(method, path, body) {
+  return crypto
+    .createHash("sha256")
+    .update(`${method} ${path} ${canonicalize(body ?? null)}`)
+    .digest("hex");
+}
+
+// Claims the key inside the caller's transaction. An expired key is taken over;
+// a live one is left alone and false is returned so the caller can roll back
+// and look up the stored response instead.
+async function claimKey(client, key, requestFingerprint, status, body) {
+  const result = await client.query(
+    `
+    INSERT INTO idempotency_keys (
+      key, request_fingerprint, response_status, response_body, expires_at
+    )
+    VALUES ($1, $2, $3, $4, now() + $5 * interval '1 hour')
+    ON CONFLICT (key) DO UPDATE
+    SET request_fingerprint = EXCLUDED.request_fingerprint,
+        response_status = EXCLUDED.response_status,
+        response_body = EXCLUDED.response_body,
+        created_at = now(),
+        expires_at = EXCLUDED.expires_at
+    WHERE idempotency_keys.expires_at <= now()
+    RETURNING key
+    `,
+    [key, requestFingerprint, status, JSON.stringify(body), RETENTION_HOURS]
+  );
+
+  return result.rowCount > 0;
+}
+
+async function findKey(key) {
+  const { rows } = await db.query(
+    `
+    SELECT request_fingerprint, response_status, response_body
+    FROM idempotency_keys
+    WHERE key = $1 AND expires_at > now()
+    `,
+    [key]
+  );
+
+  return rows[0] || null;
+}
+
+async function purgeExpiredKeys() {
+  const result = await db.query(`DELETE FROM idempotency_keys WHERE expires_at <= now()`);
+  return result.rowCount;
+}
+
+module.exports = {
+  fingerprint,
+  claimKey,
+  findKey,
+  purgeExpiredKeys,
+};
@@ -0,0 +1,106 @@
+const DEFAULT_DEADLINE_MS = Number(process.env.SHUTDOWN_DEADLINE_MS) || 25000;
+
+/**
+ * Coordinated graceful shutdown for one process.
+ *
+ * Steps run in the order they were added when SIGTERM/SIGINT arrives. A step
+ * that throws is logged and the rest still run. If everything hasn't finished
+ * by the deadline the process exits with code 1.
+ *
+ * `signal` is aborted as soon as shutdown starts, so long waits (poll sleeps,
+ * retry due times) can bail out early.
+ */
+function createLifecycle(service, { deadlineMs = DEFAULT_DEADLINE_MS } = {}) {
+  const steps = [];
+  const controller = new AbortController();
+
+  function addStep(name, run) {
+    steps.push({ name, run });
+  }
+
+  function isShuttingDown() {
+    return controller.signal.aborted;
+  }
+
+  // For /readyz: stop receiving traffic as soon as we start draining
+  async function readinessCheck() {
+    if (isShuttingDown()) {
+      throw new Error("shutting down");
+    }
+  }
+
+  async function shutdown(reason) {
+    if (isShuttingDown()) {
+      return;
+    }
+    controller.abort();
+
+    console.log({
+      service,
+      type: "SHUTDOWN_STARTED",
+      reason,
+      deadlineMs,
+    });
+
+    const deadline = setTimeout(() => {
+      console.error({
+        service,
+        type: "SHUTDOWN_DEADLINE_EXCEEDED",
+        deadlineMs,
+      });
+      process.exit(1);
+    }, deadlineMs);
+
+    for (const step of steps) {
+      const startedAt = Date.now();
+      try {
+        await step.run();
+        console.log({
+          service,
+          type: "SHUTDOWN_STEP",
+          step: step.name,
+          durationMs: Date.now() - startedAt,
+        });
+      } catch (err) {
+        console.error({
+          service,
+          type: "SHUTDOWN_STEP_ERROR",
+          step: step.name,
+          error: err.message,
+        });
+      }
+    }
+
+    clearTimeout(deadline);
+    console.log({
+      service,
+      type: "SHUTDOWN_COMPLETE",
+    });
+    process.exit(0);
+  }
+
+  function listen() {
+    process.once("SIGTERM", () => shutdown("SIGTERM"));
+    process.once("SIGINT", () => shutdown("SIGINT"));
+  }
+
+  return {
+    signal: controller.signal,
+    addStep,
+    isShuttingDown,
+    readinessCheck,
+    shutdown,
+    listen,
+  };
+}
+
+// server.close() stops accepting connections and resolves once in-flight
+// requests finish; idle keep-alive sockets are closed so they don't hold it open.
+function closeServer(server) {
+  return new Promise((resolve, reject) => {
+    server.close(err => (err ? reject(err) : resolve()));
+    server.closeIdleConnections();
+  });
+}
+
+module.exports = { createLifecycle, closeServer };
@@ -0,0 +1,204 @@
+require('dotenv').config();
+const express = require('express');
+const { setTimeout: sleep } = require('timers/promises');
+
+// Local stand-in for a payment provider, speaking the API used by
+// src/payments/providers/httpProvider.js. Every call is approved unless a
+// scenario says otherwise, so tests can script each outcome exactly:
+//
+//   PUT /__scenarios/orders/:orderId        (or /__scenarios/customers/:customerId)
+//   {
+//     "latencyMs": 200,
+//     "authorize": { "outcome": "decline", "declineCode": "insufficient_funds" },
+//     "capture":   { "outcome": "error", "status": 503, "times": 2 },
+//     "refund":    { "outcome": "timeout" }
+//   }
+//
+// outcome is approve | decline | error | timeout. `times` limits a step to the
+// first n calls (approve afterwards), which is how a partial outage is
+// scripted. A timeout holds the response for latencyMs (default 60s).
+// Order scenarios win over customer scenarios.
+//
+// A POST repeated with the same Idempotency-Key header gets the first approve
+// or decline back without running the scenario again. Errors and timeouts
+// aren't remembered, so retrying after one is a new attempt.
+
+const PORT = Number(process.env.PAYMENT_STUB_PORT) || 4010;
+const DEFAULT_TIMEOUT_MS = 60000;
+const OUTCOMES = ['approve', 'decline', 'error', 'timeout'];
+
+const scenarios = { orders: new Map(), customers: new Map() };
+// orderId -> { customerId, status, authorizationId, captureId, refunds, amount, currency }
+const payments = new Map();
+// orderId -> [{ operation, outcome, at }]
+const calls = new Map();
+// Idempotency-Key -> { status, body } of the first final answer
+const responses = new Map();
+
+function scenarioFor(orderId, customerId){
+    return scenarios.orders.get(orderId) || (customerId && scenarios.customers.get(customerId)) || {};
+}
+
+// Consumes one use of the scripted step for this operation, if any
+function nextStep(scenario, operation){
+    const step = scenario[operation];
+    if(!step){
+        return { outcome: 'approve' };
+    }
+    if(step.times !== undefined){
+        if(step.times <= 0){
+            return { outcome: 'approve' };
+        }
+        step.times--;
+    }
+    return step;
+}
+
+function recordCall(orderId, operation, outcome){
+    if(!calls.has(orderId)){
+        calls.set(orderId, []);
+    }
+    calls.get(orderId).push({ operation, outcome, at: new Date().toISOString() });
+}
+
+// Replays the stored answer for a repeated Idempotency-Key; otherwise stores
+// the answer (2xx or a 402 decline) once the route sends it
+function idempotent(operation){
+    return (req,res,next)=>{
+        const key = req.get('Idempotency-Key');
+        if(!key){
+            return next();
+        }
+        const stored = responses.get(key);
+        if(stored){
+            recordCall(req.body.orderId, operation, 'replayed');
+            return res.status(stored.status).json(stored.body);
+        }
+        const json = res.json.bind(res);
+        res.json = body => {
+            if(res.statusCode < 300 || res.statusCode === 402){
+                responses.set(key, { status: res.statusCode, body });
+            }
+            return json(body);
+        };
+        next();
+    };
+}
+
+// Applies latency and the scripted outcome; calls `approve` to build the
+// success response (and `onDecline`, if given, before a decline is sent).
+// Returns without responding only for approve.
+async function runStep(res, orderId, customerId, operation, approve, onDecline){
+    const scenario = scenarioFor(orderId, customerId);
+    const step = nextStep(scenario, operation);
+    recordCall(orderId, operation, step.outcome);
+
+    const latencyMs = step.latencyMs ?? scenario.latencyMs ?? 0;
+    if(step.outcome === 'timeout'){
+        await sleep(step.latencyMs ?? DEFAULT_TIMEOUT_MS);
+        return res.status(504).json({ code: 'GATEWAY_TIMEOUT' });
+    }
+    if(latencyMs > 0){
+        await sleep(latencyMs);
+    }
+
+    if(step.outcome === 'decline'){
+        const declineCode = step.declineCode || 'card_declined';
+        if(onDecline){
+            onDecline(declineCode);
+        }
+        return res.status(402).json({ status: 'DECLINED', declineCode });
+    }
+    if(step.outcome === 'error'){
+        return res.status(step.status || 503).json({ code: step.code || 'PROVIDER_UNAVAILABLE' });
+    }
+    return approve();
+}
+
+const app = express();
+app.use(express.json());
+
+app.post('/v1/authorizations', idempotent('authorize'), async(req,res)=>{
+    const { orderId, customerId, amount, currency } = req.body;
+    if(!orderId){
+        return res.status(400).json({ code: 'MISSING_ORDER_ID' });
+    }
+
+    await runStep(res, orderId, customerId, 'authorize', () => {
+        const authorizationId = `auth_${orderId}`;
+        payments.set(orderId, { customerId, status: 'AUTHORIZED', authorizationId, refunds: [], amount, currency });
+        res.status(201).json({ status: 'AUTHORIZED', authorizationId });
+    }, declineCode => {
+        payments.set(orderId, { customerId, status: 'DECLINED', declineCode, refunds: [], amount, currency });
+    });
+})
+
+app.post('/v1/authorizations/:authorizationId/capture', idempotent('capture'), async(req,res)=>{
+    const match = [...payments].find(([, p]) => p.authorizationId === req.params.authorizationId);
+    if(!match){
+        return res.status(404).json({ code: 'AUTHORIZATION_NOT_FOUND' });
+    }
+    const [orderId, payment] = match;
+
+    await runStep(res, orderId, payment.customerId, 'capture', () => {
+        payment.status = 'CAPTURED';
+        payment.captureId = `capture_${orderId}`;
+        res.json({ status: 'CAPTURED', captureId: payment.captureId });
+    });
+})
+
+app.post('/v1/refunds', idempotent('refund'), async(req,res)=>{
+    const { orderId, amount } = req.body;
+    const payment = payments.get(orderId);
+    if(!payment || payment.status !== 'CAPTURED'){
+        return res.status(409).json({ code: 'NOTHING_TO_REFUND' });
+    }
+
+    await runStep(res, orderId, payment.customerId, 'refund', () => {
+        const refundId = `refund_${orderId}`;
+        payment.status = 'REFUNDED';
+        payment.refunds.push({ refundId, amount });
+        res.status(201).json({ status: 'REFUNDED', refundId });
+    });
+})
+
+app.get('/v1/payments/:orderId', (req,res)=>{
+    const payment = payments.get(req.params.orderId);
+    if(!payment){
+        return res.status(404).json({ code: 'PAYMENT_NOT_FOUND' });
+    }
+    res.json({ orderId: req.params.orderId, ...payment });
+})
+
+// Scenario control for tests
+
+function putScenario(kind){
+    return (req,res)=>{
+        const script = req.body || {};
+        for(const operation of ['authorize', 'capture', 'refund']){
+            const step = script[operation];
+            if(step && !OUTCOMES.includes(step.outcome)){
+                return res.status(400).json({ code: 'INVALID_OUTCOME', message: `${operation}.outcome must be one of ${OUTCOMES.join(', ')}` });
+            }
+        }
+        scenarios[kind].set(req.params.id, script);
+        res.status(204).end();
+    };
+}
+
+app.put('/__scenarios/orders/:id', putScenario('orders'));
+app.put('/__scenarios/customers/:id', putScenario('customers'));
+
+app.delete('/__scenarios', (req,res)=>{
+    scenarios.orders.clear();
+    scenarios.customers.clear();
+    res.status(204).end();
+})
+
+app.get('/__calls/:orderId', (req,res)=>{
+    res.json({ orderId: req.params.orderId, calls: calls.get(req.params.orderId) || [] });
+})
+
+app.get('/__health', (req,res)=> res.json({ status: 'ok' }));
+
+app.listen(PORT, () => console.log(`Payment stub server running on port ${PORT}`));
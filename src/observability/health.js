@@ -0,0 +1,111 @@
+const db = require("../../db/connection");
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs every check (name -> async fn that throws when unhealthy) in parallel
+// and returns { status, body } ready to send: 200 when all pass, else 503.
+async function runChecks(checks) {
+  const names = Object.keys(checks);
+  const results = await Promise.allSettled(
+    names.map(name => withTimeout(Promise.resolve().then(checks[name]), CHECK_TIMEOUT_MS))
+  );
+
+  const body = { status: "ok", checks: {} };
+  results.forEach((result, i) => {
+    if (result.status === "fulfilled") {
+      body.checks[names[i]] = { status: "ok", ...(result.value || {}) };
+    } else {
+      body.status = "fail";
+      body.checks[names[i]] = { status: "fail", error: result.reason.message };
+    }
+  });
+
+  return { status: body.status === "ok" ? 200 : 503, body };
+}
+
+async function postgresCheck() {
+  await db.ping();
+}
+
+// Tracks producer connectivity from kafkajs instrumentation events
+function trackProducer(producer) {
+  const state = { connected: false };
+  producer.on(producer.events.CONNECT, () => { state.connected = true; });
+  producer.on(producer.events.DISCONNECT, () => { state.connected = false; });
+
+  return async function kafkaProducerCheck() {
+    if (!state.connected) {
+      throw new Error("producer is not connected");
+    }
+  };
+}
+
+// Tracks a consumer's group membership and activity. Readiness fails while
+// disconnected, after a crash, when no partitions are assigned (if required),
+// or when there has been no heartbeat or fetch within stallThresholdMs.
+// Liveness only fails for a crash kafkajs won't recover from on its own.
+function trackConsumer(consumer, { requireAssignment = true, stallThresholdMs = 60000 } = {}) {
+  const state = {
+    connected: false,
+    crashed: null,
+    assignedPartitions: 0,
+    lastActivityAt: 0,
+  };
+  const touch = () => { state.lastActivityAt = Date.now(); };
+
+  consumer.on(consumer.events.CONNECT, () => { state.connected = true; touch(); });
+  consumer.on(consumer.events.DISCONNECT, () => { state.connected = false; });
+  consumer.on(consumer.events.STOP, () => { state.connected = false; });
+  consumer.on(consumer.events.REBALANCING, () => { state.assignedPartitions = 0; });
+  consumer.on(consumer.events.GROUP_JOIN, ({ payload }) => {
+    state.assignedPartitions = Object.values(payload.memberAssignment || {})
+      .reduce((total, partitions) => total + partitions.length, 0);
+    state.crashed = null;
+    touch();
+  });
+  consumer.on(consumer.events.HEARTBEAT, touch);
+  consumer.on(consumer.events.FETCH, touch);
+  consumer.on(consumer.events.CRASH, ({ payload }) => {
+    state.crashed = { error: payload.error.message, restart: payload.restart };
+  });
+
+  async function readiness() {
+    if (!state.connected) {
+      throw new Error("consumer is not connected");
+    }
+    if (state.crashed) {
+      throw new Error(`consumer crashed: ${state.crashed.error}`);
+    }
+    if (requireAssignment && state.assignedPartitions === 0) {
+      throw new Error("no partitions assigned");
+    }
+    const idleMs = Date.now() - state.lastActivityAt;
+    if (idleMs > stallThresholdMs) {
+      throw new Error(`no heartbeat or fetch for ${idleMs}ms`);
+    }
+    return { assignedPartitions: state.assignedPartitions };
+  }
+
+  async function liveness() {
+    if (state.crashed && !state.crashed.restart) {
+      throw new Error(`consumer crashed without restart: ${state.crashed.error}`);
+    }
+  }
+
+  return { readiness, liveness };
+}
+
+module.exports = {
+  runChecks,
+  postgresCheck,
+  trackProducer,
+  trackConsumer,
+};
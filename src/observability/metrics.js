@@ -0,0 +1,70 @@
+const client = require("prom-client");
+
+// One registry per process. Each service labels its series with `service`
+// so API, publisher and worker can share a Prometheus job.
+const register = new client.Registry();
+
+function initMetrics(service) {
+  register.setDefaultLabels({ service });
+  client.collectDefaultMetrics({ register });
+}
+
+function counter(name, help, labelNames = []) {
+  return new client.Counter({ name, help, labelNames, registers: [register] });
+}
+
+function gauge(name, help, options = {}) {
+  return new client.Gauge({ name, help, registers: [register], ...options });
+}
+
+function histogram(name, help, labelNames = [], buckets = undefined) {
+  return new client.Histogram({
+    name,
+    help,
+    labelNames,
+    registers: [register],
+    ...(buckets ? { buckets } : {}),
+  });
+}
+
+async function metricsText() {
+  return register.metrics();
+}
+
+// Express handler for GET /metrics
+async function metricsHandler(req, res) {
+  res.set("Content-Type", register.contentType);
+  res.send(await metricsText());
+}
+
+// Express middleware recording request duration by route template and status.
+// Unmatched paths share one label so random URLs can't explode cardinality.
+function httpMetricsMiddleware() {
+  const requestDuration = histogram(
+    "http_request_duration_seconds",
+    "HTTP request duration by method, route and status code",
+    ["method", "route", "status_code"],
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+  );
+
+  return (req, res, next) => {
+    const end = requestDuration.startTimer();
+    res.on("finish", () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+      end({ method: req.method, route, status_code: res.statusCode });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  register,
+  contentType: register.contentType,
+  initMetrics,
+  counter,
+  gauge,
+  histogram,
+  metricsText,
+  metricsHandler,
+  httpMetricsMiddleware,
+};
@@ -0,0 +1,49 @@
+const http = require("http");
+const { contentType, metricsText } = require("./metrics");
+
+// Minimal HTTP server for the non-API processes (publisher, worker) so they
+// can be scraped. `routes` maps extra paths to async handlers returning
+// { status, body }.
+function startOpsServer({ service, port, routes = {} }) {
+  const handlers = {
+    "/metrics": async () => ({
+      status: 200,
+      contentType,
+      body: await metricsText(),
+    }),
+    ...routes,
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const path = req.url.split("?")[0];
+    const handler = req.method === "GET" ? handlers[path] : undefined;
+
+    if (!handler) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { code: "NOT_FOUND", message: "Not found", details: [] } }));
+      return;
+    }
+
+    try {
+      const result = await handler();
+      const body = typeof result.body === "string" ? result.body : JSON.stringify(result.body);
+      res.writeHead(result.status, { "Content-Type": result.contentType || "application/json" });
+      res.end(body);
+    } catch (err) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: { code: "INTERNAL_ERROR", message: err.message, details: [] } }));
+    }
+  });
+
+  server.listen(port, () => {
+    console.log({
+      service,
+      type: "STARTUP",
+      message: `Ops server listening on port ${port}`,
+    });
+  });
+
+  return server;
+}
+
+module.exports = { startOpsServer };
@@ -0,0 +1,154 @@
+const db = require("../../db/connection");
+const { v4: uuidv4 } = require("uuid");
+const { insertOutboxEvent } = require("../events/outbox");
+const { markProcessed } = require("../consumers/idempotentConsumer");
+
+const STATES = {
+  CREATED: "CREATED",
+  PAYMENT_PENDING: "PAYMENT_PENDING",
+  PAID: "PAID",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+  CANCELLATION_REQUESTED: "CANCELLATION_REQUESTED",
+  REFUNDED: "REFUNDED",
+  // The provider declined the refund; settled outside the system
+  REFUND_FAILED: "REFUND_FAILED",
+};
+
+const INITIAL_STATE = STATES.CREATED;
+
+// Every allowed transition, the action that triggers it and the outbox
+// events written in the same transaction. Anything not listed is illegal.
+const TRANSITIONS = [
+  { from: STATES.CREATED, to: STATES.PAYMENT_PENDING, action: "startPayment", emits: [] },
+  { from: STATES.PAYMENT_PENDING, to: STATES.PAID, action: "paymentSucceeded", emits: ["OrderPaid"] },
+  { from: STATES.PAYMENT_PENDING, to: STATES.FAILED, action: "paymentFailed", emits: ["OrderFailed"] },
+  { from: STATES.CREATED, to: STATES.CANCELLED, action: "cancel", emits: ["OrderCancelled"] },
+  { from: STATES.PAID, to: STATES.CANCELLATION_REQUESTED, action: "cancel", emits: ["OrderCancellationRequested"] },
+  { from: STATES.CANCELLATION_REQUESTED, to: STATES.REFUNDED, action: "refundIssued", emits: ["RefundIssued", "OrderRefunded"] },
+  { from: STATES.CANCELLATION_REQUESTED, to: STATES.REFUND_FAILED, action: "refundDeclined", emits: ["RefundFailed"] },
+];
+
+class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Invalid order state transition: ${from} -> ${to}`);
+    this.name = "InvalidTransitionError";
+    this.code = "INVALID_STATE_TRANSITION";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+// The transition is legal but the order is no longer in `from` at `expectedVersion`:
+// someone else (another worker, the API) moved it first.
+class VersionConflictError extends Error {
+  constructor(orderId, from, expectedVersion) {
+    super(`Order ${orderId} is no longer ${from}${expectedVersion == null ? "" : ` at version ${expectedVersion}`}`);
+    this.name = "VersionConflictError";
+    this.code = "VERSION_CONFLICT";
+    this.orderId = orderId;
+    this.from = from;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+function findTransition(from, to) {
+  return TRANSITIONS.find(t => t.from === from && t.to === to) || null;
+}
+
+// Target state for an action (e.g. "cancel") from the given state, or null
+function targetFor(from, action) {
+  const transition = TRANSITIONS.find(t => t.from === from && t.action === action);
+  return transition ? transition.to : null;
+}
+
+async function applyTransition(client, orderId, from, to, expectedVersion, eventPayload, { processedEvent, correlationId }) {
+  const definition = findTransition(from, to);
+  if (!definition) {
+    throw new InvalidTransitionError(from, to);
+  }
+
+  // Optimistic lock: state (and version, when known) must still match what the caller read
+  const updateResult = await client.query(
+    `
+    UPDATE orders
+    SET state = $2,
+        version = version + 1,
+        updated_at = now()
+    WHERE id = $1 AND state = $3 AND ($4::bigint IS NULL OR version = $4)
+    RETURNING *
+    `,
+    [orderId, to, from, expectedVersion ?? null]
+  );
+
+  if (updateResult.rowCount === 0) {
+    throw new VersionConflictError(orderId, from, expectedVersion);
+  }
+
+  const events = [];
+  for (const eventType of definition.emits) {
+    const eventId = uuidv4();
+    await insertOutboxEvent(client, {
+      eventId,
+      aggregateType: "order",
+      aggregateId: orderId,
+      eventType,
+      payload: { orderId, ...eventPayload },
+      correlationId,
+    });
+    events.push({ eventId, eventType });
+  }
+
+  // Mark the triggering event as processed (idempotency)
+  if (processedEvent) {
+    await markProcessed(client, processedEvent.consumerName, processedEvent.eventId);
+  }
+
+  return { order: updateResult.rows[0], events };
+}
+
+/**
+ * Moves an order from `from` to `to`, writing the state update, the outbox
+ * events for that transition and (optionally) the processed_events marker
+ * in one transaction.
+ *
+ * Pass `expectedVersion = null` to check the state only. Pass `options.client`
+ * to join a transaction the caller already has open,
+ * `options.processedEvent` ({ eventId, consumerName }) to mark the triggering
+ * event processed and `options.correlationId` to tag the emitted events.
+ *
+ * Throws InvalidTransitionError for transitions not in TRANSITIONS and
+ * VersionConflictError if the order was changed concurrently.
+ */
+async function transition(orderId, from, to, expectedVersion, eventPayload = {}, options = {}) {
+  const { client: callerClient, processedEvent, correlationId } = options;
+  const extras = { processedEvent, correlationId };
+
+  if (callerClient) {
+    return applyTransition(callerClient, orderId, from, to, expectedVersion, eventPayload, extras);
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query("BEGIN");
+    const result = await applyTransition(client, orderId, from, to, expectedVersion, eventPayload, extras);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  STATES,
+  INITIAL_STATE,
+  TRANSITIONS,
+  InvalidTransitionError,
+  VersionConflictError,
+  findTransition,
+  targetFor,
+  transition,
+};
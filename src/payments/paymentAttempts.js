@@ -0,0 +1,62 @@
+const db = require("../../db/connection");
+
+// Every provider call is recorded in payment_attempts before it is made, keyed
+// by order and operation. The same key is sent to the provider as the
+// idempotency key, so a redelivered event or a retry after a crash gets the
+// first answer back instead of charging again. Reconciliation uses the rows
+// to tell orders that are still being worked on from stuck ones.
+
+function idempotencyKeyFor(orderId, operation) {
+  return `${orderId}:${operation}`;
+}
+
+// Runs call(idempotencyKey) and records its result (or error) on the attempt
+// row. The row is committed before the call, so a crash mid-call still leaves
+// a trace.
+async function withPaymentAttempt({ orderId, operation, provider, eventId = null }, call) {
+  const idempotencyKey = idempotencyKeyFor(orderId, operation);
+
+  await db.query(`
+    INSERT INTO payment_attempts (idempotency_key, order_id, operation, provider, event_id)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (idempotency_key) DO UPDATE
+    SET status = 'STARTED',
+        attempts = payment_attempts.attempts + 1,
+        event_id = COALESCE(EXCLUDED.event_id, payment_attempts.event_id),
+        updated_at = now()
+  `, [idempotencyKey, orderId, operation, provider, eventId]);
+
+  let result;
+  try {
+    result = await call(idempotencyKey);
+  } catch (err) {
+    await db.query(`
+      UPDATE payment_attempts
+      SET status = 'ERROR', last_error = $2, updated_at = now()
+      WHERE idempotency_key = $1
+    `, [idempotencyKey, err.message]);
+    throw err;
+  }
+
+  await db.query(`
+    UPDATE payment_attempts
+    SET status = $2,
+        provider_reference = $3,
+        decline_code = $4,
+        last_error = NULL,
+        updated_at = now()
+    WHERE idempotency_key = $1
+  `, [
+    idempotencyKey,
+    result.status,
+    result.captureId || result.authorizationId || result.refundId || null,
+    result.declineCode || null,
+  ]);
+
+  return result;
+}
+
+module.exports = {
+  idempotencyKeyFor,
+  withPaymentAttempt,
+};
@@ -0,0 +1,81 @@
+// Payment providers all implement the same four calls:
+//
+//   authorize({ orderId, customerId, amount, currency, idempotencyKey })
+//       -> { status: AUTHORIZED, authorizationId } | { status: DECLINED, declineCode }
+//   capture({ orderId, authorizationId, amount, currency, idempotencyKey })
+//       -> { status: CAPTURED, captureId } | { status: DECLINED, declineCode }
+//   refund({ orderId, amount, currency, idempotencyKey })
+//       -> { status: REFUNDED, refundId } | { status: DECLINED, declineCode }
+//   getStatus({ orderId })
+//       -> { status: AUTHORIZED | CAPTURED | REFUNDED | DECLINED | NOT_FOUND, ... }
+//
+// A call repeated with the same idempotencyKey must return the first answer
+// without charging again (see paymentAttempts.js). A decline is a normal
+// result. Anything that stops the provider from giving an answer (timeout,
+// 5xx, bad request) throws PaymentProviderError instead.
+//
+// Providers also have a `name` and may set `persistent: false` when they
+// forget payments on restart, so NOT_FOUND from them doesn't mean the order
+// was never charged.
+//
+// PAYMENT_PROVIDER picks the implementation: "mock" (in-process, random
+// outcomes, the default) or "http" (talks to PAYMENT_PROVIDER_URL, e.g. the
+// stub server in src/mock/paymentStubServer.js).
+
+const PAYMENT_STATUS = {
+  AUTHORIZED: "AUTHORIZED",
+  CAPTURED: "CAPTURED",
+  REFUNDED: "REFUNDED",
+  DECLINED: "DECLINED",
+  NOT_FOUND: "NOT_FOUND",
+};
+
+// `retryable` is false when sending the same request again can't succeed
+class PaymentProviderError extends Error {
+  constructor(message, { code, retryable = true, status } = {}) {
+    super(message);
+    this.name = "PaymentProviderError";
+    this.code = code || "PROVIDER_ERROR";
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+// name -> factory(options) returning a provider. Required lazily so a
+// provider's dependencies are only loaded when it is used.
+const factories = {
+  mock: options => require("./providers/mockProvider").createMockProvider(options),
+  http: options => require("./providers/httpProvider").createHttpProvider(options),
+};
+
+function registerProvider(name, factory) {
+  factories[name] = factory;
+}
+
+const OPERATIONS = ["authorize", "capture", "refund", "getStatus"];
+
+// Same interface, with every call going through the circuit breaker and then
+// the bulkhead (see src/resilience). Rejected calls never take a slot.
+function guardProvider(provider, { breaker, bulkhead }) {
+  const guarded = { name: provider.name, persistent: provider.persistent };
+  for (const operation of OPERATIONS) {
+    guarded[operation] = request => breaker.execute(() => bulkhead.run(() => provider[operation](request)));
+  }
+  return guarded;
+}
+
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER || "mock", options = {}) {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown PAYMENT_PROVIDER "${name}", expected one of ${Object.keys(factories).join(", ")}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  PAYMENT_STATUS,
+  PaymentProviderError,
+  registerProvider,
+  createPaymentProvider,
+  guardProvider,
+};
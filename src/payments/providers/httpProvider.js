@@ -0,0 +1,102 @@
+const { PAYMENT_STATUS, PaymentProviderError } = require("../paymentProvider");
+
+// Talks to a payment provider over HTTP. The API is the one served by
+// src/mock/paymentStubServer.js:
+//
+//   POST /v1/authorizations                       201 authorized | 402 declined
+//   POST /v1/authorizations/:authorizationId/capture  200 captured | 402 declined
+//   POST /v1/refunds                              201 refunded   | 402 declined
+//   GET  /v1/payments/:orderId                    200 | 404
+//
+// POSTs carry an Idempotency-Key header. Timeouts, network errors and 5xx are
+// retryable PaymentProviderErrors; other 4xx mean the request itself is wrong
+// and are not.
+function createHttpProvider({
+  baseUrl = process.env.PAYMENT_PROVIDER_URL || "http://localhost:4010",
+  timeoutMs = Number(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 5000,
+} = {}) {
+  async function request(method, path, body, idempotencyKey) {
+    const headers = {};
+    if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (idempotencyKey) {
+      headers["Idempotency-Key"] = idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      if (err.name === "TimeoutError") {
+        throw new PaymentProviderError(`Payment provider timed out after ${timeoutMs}ms`, { code: "TIMEOUT" });
+      }
+      throw new PaymentProviderError(`Payment provider unreachable: ${err.message}`, { code: "NETWORK_ERROR" });
+    }
+
+    const responseBody = await response.json().catch(() => ({}));
+
+    if (response.status >= 500) {
+      throw new PaymentProviderError(`Payment provider returned ${response.status}`, {
+        code: responseBody.code || "PROVIDER_UNAVAILABLE",
+        status: response.status,
+      });
+    }
+    return { status: response.status, body: responseBody };
+  }
+
+  // 402 is a decline; any other non-2xx means we sent something it won't accept
+  function resultOf({ status, body }, operation) {
+    if (status === 402) {
+      return { status: PAYMENT_STATUS.DECLINED, declineCode: body.declineCode || "declined" };
+    }
+    if (status < 200 || status >= 300) {
+      throw new PaymentProviderError(`Payment provider rejected ${operation} with ${status}`, {
+        code: body.code || "PROVIDER_REJECTED",
+        retryable: false,
+        status,
+      });
+    }
+    return body;
+  }
+
+  return {
+    name: "http",
+
+    async authorize({ orderId, customerId, amount, currency, idempotencyKey }) {
+      return resultOf(
+        await request("POST", "/v1/authorizations", { orderId, customerId, amount, currency }, idempotencyKey),
+        "authorize"
+      );
+    },
+
+    async capture({ orderId, authorizationId, amount, currency, idempotencyKey }) {
+      return resultOf(
+        await request("POST", `/v1/authorizations/${encodeURIComponent(authorizationId)}/capture`, { orderId, amount, currency }, idempotencyKey),
+        "capture"
+      );
+    },
+
+    async refund({ orderId, amount, currency, idempotencyKey }) {
+      return resultOf(
+        await request("POST", "/v1/refunds", { orderId, amount, currency }, idempotencyKey),
+        "refund"
+      );
+    },
+
+    async getStatus({ orderId }) {
+      const response = await request("GET", `/v1/payments/${encodeURIComponent(orderId)}`);
+      if (response.status === 404) {
+        return { orderId, status: PAYMENT_STATUS.NOT_FOUND };
+      }
+      return resultOf(response, "getStatus");
+    },
+  };
+}
+
+module.exports = { createHttpProvider };
@@ -0,0 +1,75 @@
+const { setTimeout: sleep } = require("timers/promises");
+const { PAYMENT_STATUS } = require("../paymentProvider");
+
+// In-process stand-in with random outcomes: 70% of authorizations and 90% of
+// refunds succeed, each call takes LATENCY_MS. Good for the demo; use the
+// HTTP provider with the stub server when a test needs a specific outcome.
+// Payments live in memory and are gone after a restart.
+const LATENCY_MS = 1000;
+
+function createMockProvider() {
+  // orderId -> what has happened to its payment so far
+  const payments = new Map();
+  // idempotencyKey -> first result
+  const results = new Map();
+
+  // A repeated key gets the first result back without calling again
+  async function once(idempotencyKey, call) {
+    if (idempotencyKey && results.has(idempotencyKey)) {
+      return results.get(idempotencyKey);
+    }
+    const result = await call();
+    if (idempotencyKey) {
+      results.set(idempotencyKey, result);
+    }
+    return result;
+  }
+
+  return {
+    name: "mock",
+    persistent: false,
+
+    authorize({ orderId, amount, idempotencyKey }) {
+      return once(idempotencyKey, async () => {
+        console.log(`Authorizing payment for order ${orderId} with amount ${amount}`);
+        await sleep(LATENCY_MS);
+
+        if (Math.random() <= 0.3) {
+          payments.set(orderId, { status: PAYMENT_STATUS.DECLINED, declineCode: "card_declined" });
+          return { status: PAYMENT_STATUS.DECLINED, declineCode: "card_declined" };
+        }
+        const authorizationId = `auth_${orderId}`;
+        payments.set(orderId, { status: PAYMENT_STATUS.AUTHORIZED, authorizationId });
+        return { status: PAYMENT_STATUS.AUTHORIZED, authorizationId };
+      });
+    },
+
+    capture({ orderId, authorizationId, idempotencyKey }) {
+      return once(idempotencyKey, async () => {
+        const captureId = `capture_${orderId}`;
+        payments.set(orderId, { status: PAYMENT_STATUS.CAPTURED, authorizationId, captureId });
+        return { status: PAYMENT_STATUS.CAPTURED, captureId };
+      });
+    },
+
+    refund({ orderId, amount, idempotencyKey }) {
+      return once(idempotencyKey, async () => {
+        console.log(`Refunding payment for order ${orderId} with amount ${amount}`);
+        await sleep(LATENCY_MS);
+
+        if (Math.random() <= 0.1) {
+          return { status: PAYMENT_STATUS.DECLINED, declineCode: "refund_failed" };
+        }
+        const refundId = `refund_${orderId}`;
+        payments.set(orderId, { ...payments.get(orderId), status: PAYMENT_STATUS.REFUNDED, refundId });
+        return { status: PAYMENT_STATUS.REFUNDED, refundId };
+      });
+    },
+
+    async getStatus({ orderId }) {
+      return { orderId, ...(payments.get(orderId) || { status: PAYMENT_STATUS.NOT_FOUND }) };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,132 @@
+const db = require("../../db/connection");
+const { PAYMENT_STATUS } = require("./paymentProvider");
+const { withPaymentAttempt } = require("./paymentAttempts");
+const { STATES, VersionConflictError, transition } = require("../orders/stateMachine");
+
+// Finds orders left in PAYMENT_PENDING (the worker died between charging and
+// committing, or the event ended up in the DLQ), asks the provider what really
+// happened and finishes the transition:
+//
+//   CAPTURED             -> PAID
+//   AUTHORIZED           -> capture, then PAID or FAILED
+//   DECLINED, NOT_FOUND  -> FAILED
+//
+// NOT_FOUND is left unresolved for providers that forget payments on restart
+// (`persistent: false`): the order may well have been charged.
+//
+// An order only counts as stuck once neither it nor any of its payment
+// attempts has changed for RECONCILE_AFTER_MS, which should be longer than the
+// whole retry schedule so a retry in progress is never raced.
+
+const RECONCILE_AFTER_MS = Number(process.env.PAYMENT_RECONCILE_AFTER_MS) || 15 * 60 * 1000;
+const RECONCILE_BATCH_SIZE = Number(process.env.PAYMENT_RECONCILE_BATCH_SIZE) || 100;
+
+// Outcomes reported per order
+const RECONCILE_OUTCOME = {
+  PAID: "PAID",
+  FAILED: "FAILED",
+  UNRESOLVED: "UNRESOLVED",
+  CONFLICT: "CONFLICT",
+  ERROR: "ERROR",
+};
+
+// declineCode for orders the provider has never heard of
+const NOT_FOUND_DECLINE_CODE = "payment_not_found";
+
+async function findStuckOrders() {
+  const { rows } = await db.query(`
+    SELECT o.id, o.version, o.amount, o.currency
+    FROM orders o
+    WHERE o.state = $1
+      AND o.updated_at < now() - $2 * interval '1 millisecond'
+      AND NOT EXISTS (
+        SELECT 1 FROM payment_attempts a
+        WHERE a.order_id = o.id
+          AND a.updated_at >= now() - $2 * interval '1 millisecond'
+      )
+    ORDER BY o.updated_at
+    LIMIT $3
+  `, [STATES.PAYMENT_PENDING, RECONCILE_AFTER_MS, RECONCILE_BATCH_SIZE]);
+  return rows;
+}
+
+// What the order should become, given the provider's view of its payment.
+// `state` is null when the provider's answer doesn't settle it.
+async function resolvePayment(provider, order) {
+  const payment = await provider.getStatus({ orderId: order.id });
+
+  switch (payment.status) {
+    case PAYMENT_STATUS.CAPTURED:
+      return { state: STATES.PAID, payment };
+    case PAYMENT_STATUS.DECLINED:
+      return { state: STATES.FAILED, payment, declineCode: payment.declineCode || null };
+    case PAYMENT_STATUS.NOT_FOUND:
+      if (provider.persistent === false) {
+        return { state: null, payment };
+      }
+      return { state: STATES.FAILED, payment, declineCode: NOT_FOUND_DECLINE_CODE };
+    case PAYMENT_STATUS.AUTHORIZED: {
+      // Authorized but never captured: finish what the worker started
+      const capture = await withPaymentAttempt(
+        { orderId: order.id, operation: "capture", provider: provider.name },
+        idempotencyKey => provider.capture({
+          orderId: order.id,
+          authorizationId: payment.authorizationId,
+          amount: order.amount,
+          currency: order.currency,
+          idempotencyKey,
+        })
+      );
+      return capture.status === PAYMENT_STATUS.CAPTURED
+        ? { state: STATES.PAID, payment: capture }
+        : { state: STATES.FAILED, payment: capture, declineCode: capture.declineCode || null };
+    }
+    default:
+      return { state: null, payment };
+  }
+}
+
+async function reconcileOrder(provider, order) {
+  const { state, payment, declineCode } = await resolvePayment(provider, order);
+  if (!state) {
+    return { orderId: order.id, outcome: RECONCILE_OUTCOME.UNRESOLVED, providerStatus: payment.status };
+  }
+
+  const eventPayload = state === STATES.PAID ? {} : { declineCode };
+  try {
+    await transition(order.id, STATES.PAYMENT_PENDING, state, order.version, eventPayload);
+  } catch (err) {
+    if (!(err instanceof VersionConflictError)) {
+      throw err;
+    }
+    // The worker (or another reconciler) got there first
+    return { orderId: order.id, outcome: RECONCILE_OUTCOME.CONFLICT, providerStatus: payment.status };
+  }
+
+  return { orderId: order.id, outcome: state, providerStatus: payment.status, declineCode };
+}
+
+// Reconciles one batch of stuck orders and returns a result per order. A
+// provider or database error is reported for that order and doesn't stop
+// the others. Stops early once `signal` is aborted.
+async function reconcileStuckPayments({ provider, signal } = {}) {
+  const results = [];
+
+  for (const order of await findStuckOrders()) {
+    if (signal && signal.aborted) {
+      break;
+    }
+    try {
+      results.push(await reconcileOrder(provider, order));
+    } catch (err) {
+      results.push({ orderId: order.id, outcome: RECONCILE_OUTCOME.ERROR, error: err.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  RECONCILE_OUTCOME,
+  reconcileStuckPayments,
+};
@@ -0,0 +1,101 @@
+const { setTimeout: sleep } = require("timers/promises");
+const db = require("../../db/connection");
+
+const CHANNEL = "outbox_inserted";
+const MIN_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Keeps a dedicated connection LISTENing on outbox_inserted (see migration 007)
+// and calls onNotify for every notification. Reconnects with exponential
+// back-off, and calls onNotify after each (re)connect too: anything committed
+// while nobody was listening sent a notification that was lost.
+function createOutboxListener({ service, signal, onNotify, onStatusChange = () => {} }) {
+  let client = null;
+  let connected = false;
+
+  function setConnected(value) {
+    connected = value;
+    onStatusChange(value);
+  }
+
+  function handleDisconnect(source, err) {
+    // Ignore events from connections we already dropped or never finished opening
+    if (source !== client) {
+      return;
+    }
+    setConnected(false);
+    console.error({
+      service,
+      type: "LISTENER_DISCONNECTED",
+      error: err ? err.message : "connection ended",
+    });
+
+    const stale = client;
+    client = null;
+    stale.end().catch(() => {});
+
+    if (!signal.aborted) {
+      connect();
+    }
+  }
+
+  async function connect() {
+    let delay = MIN_RECONNECT_DELAY_MS;
+
+    while (!signal.aborted) {
+      const candidate = db.createClient();
+      candidate.on("notification", () => onNotify());
+      candidate.on("error", (err) => handleDisconnect(candidate, err));
+      candidate.on("end", () => handleDisconnect(candidate));
+
+      try {
+        await candidate.connect();
+        await candidate.query(`LISTEN ${CHANNEL}`);
+
+        client = candidate;
+        setConnected(true);
+        console.log({
+          service,
+          type: "LISTENER_CONNECTED",
+          channel: CHANNEL,
+        });
+
+        // Catch up on anything inserted while we were disconnected
+        onNotify();
+        return;
+      } catch (err) {
+        candidate.end().catch(() => {});
+        console.error({
+          service,
+          type: "LISTENER_CONNECT_ERROR",
+          error: err.message,
+          retryInMs: delay,
+        });
+
+        try {
+          await sleep(delay, undefined, { signal });
+        } catch (abortErr) {
+          return;
+        }
+        delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+      }
+    }
+  }
+
+  async function close() {
+    const current = client;
+    client = null;
+    connected = false;
+    if (current) {
+      await current.end();
+    }
+  }
+
+  return {
+    start: connect,
+    close,
+    isConnected: () => connected,
+  };
+}
+
+module.exports = { createOutboxListener };
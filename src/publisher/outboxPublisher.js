@@ -1,7 +1,54 @@
 require("dotenv").config();
 const { Kafka } = require("kafkajs");
 const db = require("../../db/connection");
+const { initMetrics, counter, gauge } = require("../observability/metrics");
+const { startOpsServer } = require("../observability/opsServer");
+const { runChecks, postgresCheck, trackProducer } = require("../observability/health");
+const { createLifecycle, closeServer } = require("../lifecycle/shutdown");
+const { createOutboxListener } = require("./outboxListener");
+const { RETENTION_MODE, cleanupPublishedEvents } = require("./outboxRetention");
+const { topicFor } = require("../events/topicRouting");
+const { eventHeaders } = require("../events/eventHeaders");
+const serialization = require("../events/serialization");
 
+initMetrics("outbox-publisher");
+
+const eventsPublished = counter("outbox_events_published_total", "Outbox events published to Kafka", ["event_type"]);
+const publishErrors = counter("outbox_publish_errors_total", "Failed attempts to publish a batch of outbox events");
+
+// Backlog gauges are read from Postgres at scrape time
+gauge("outbox_backlog_size", "Unpublished rows in the outbox", {
+    async collect(){
+        const { rows } = await db.query(`SELECT COUNT(*)::int AS count FROM outbox WHERE published = false`);
+        this.set(rows[0].count);
+    },
+});
+
+gauge("outbox_oldest_unpublished_age_seconds", "Age of the oldest unpublished outbox row (0 when empty)", {
+    async collect(){
+        const { rows } = await db.query(`SELECT EXTRACT(EPOCH FROM now() - MIN(created_at)) AS age
+            FROM outbox WHERE published = false`);
+        this.set(rows[0].age === null ? 0 : Number(rows[0].age));
+    },
+});
+
+gauge("outbox_parked_events", "Outbox rows parked after too many failed publish attempts", {
+    async collect(){
+        const { rows } = await db.query(`SELECT COUNT(*)::int AS count FROM outbox WHERE parked_at IS NOT NULL`);
+        this.set(rows[0].count);
+    },
+});
+
+const listenerConnected = gauge("outbox_listener_connected", "1 while the LISTEN connection for outbox_inserted is up");
+
+const BATCH_SIZE = Number(process.env.OUTBOX_BATCH_SIZE) || 100;
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+const MAX_IDLE_INTERVAL_MS = Number(process.env.OUTBOX_MAX_IDLE_INTERVAL_MS) || 10000;
+const SWEEP_INTERVAL_MS = Number(process.env.OUTBOX_SWEEP_INTERVAL_MS) || 30000;
+const MAX_PUBLISH_ATTEMPTS = Number(process.env.OUTBOX_MAX_PUBLISH_ATTEMPTS) || 10;
+const RETRY_BASE_DELAY_MS = Number(process.env.OUTBOX_RETRY_BASE_DELAY_MS) || 5000;
+const RETRY_MAX_DELAY_MS = Number(process.env.OUTBOX_RETRY_MAX_DELAY_MS) || 10 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = Number(process.env.OUTBOX_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
 
 const kafka = new Kafka({
     clientId: "outbox-publisher",
@@ -9,65 +56,297 @@ const kafka = new Kafka({
 });
 
 const producer = kafka.producer();
+const kafkaProducerCheck = trackProducer(producer);
+const lifecycle = createLifecycle("outbox-publisher");
+
+// Set by a notification (or reconnect) and cleared when the loop wakes up, so
+// notifications that arrive mid-batch still trigger one more pass.
+let wakeRequested = false;
+let wake = () => {};
+
+const listener = createOutboxListener({
+    service: "outbox-publisher",
+    signal: lifecycle.signal,
+    onNotify(){
+        wakeRequested = true;
+        wake();
+    },
+    onStatusChange(connected){
+        listenerConnected.set(connected ? 1 : 0);
+    },
+});
 
 async function start(){
+    const opsServer = startOpsServer({
+        service: "outbox-publisher",
+        port: Number(process.env.PUBLISHER_OPS_PORT) || 9101,
+        routes: {
+            "/healthz": async () => ({ status: 200, body: { status: "ok" } }),
+            "/readyz": () => runChecks({
+                shutdown: lifecycle.readinessCheck,
+                postgres: postgresCheck,
+                kafkaProducer: kafkaProducerCheck,
+            }),
+        },
+    });
+
     await producer.connect();
     console.log("Outbox Publisher connected to Kafka");
 
-    while(true){
+    // Don't wait for LISTEN: the loop polls until the listener is up
+    listener.start();
+    const polling = pollLoop();
+
+    let cleanup = Promise.resolve();
+    const cleanupTimer = setInterval(() => {
+        cleanup = cleanup.then(runCleanup);
+    }, CLEANUP_INTERVAL_MS).unref();
+
+    // Finish the batch in flight, then release Kafka and Postgres
+    lifecycle.addStep("poll loop", () => polling);
+    lifecycle.addStep("outbox cleanup", () => {
+        clearInterval(cleanupTimer);
+        return cleanup;
+    });
+    lifecycle.addStep("outbox listener", () => listener.close());
+    lifecycle.addStep("kafka producer", () => producer.disconnect());
+    lifecycle.addStep("postgres", () => db.end());
+    lifecycle.addStep("ops server", () => closeServer(opsServer));
+    lifecycle.listen();
+
+    await polling;
+}
+
+// Inserts into the outbox fire NOTIFY outbox_inserted, which wakes the loop
+// right away. While the listener is connected the only timer left is a slow
+// sweep (SWEEP_INTERVAL_MS) as a safety net.
+//
+// Without a listener it falls back to adaptive polling: a full batch means more
+// is waiting, so go again at once; each empty poll doubles the wait up to
+// MAX_IDLE_INTERVAL_MS. A failed send is treated like an empty poll, and
+// the loop also wakes when the earliest row it backed off becomes due.
+async function pollLoop(){
+    let interval = POLL_INTERVAL_MS;
+    let nextRetryAt = null;
+
+    while(!lifecycle.isShuttingDown()){
+        let result = { published: 0, failed: true, retryAt: null };
         try{
-            await publishBatch();
+            result = await publishBatch();
         }catch(err){
             console.error("Error publishing batch:", err);
         }
-        await sleep(1000);
+
+        if(result.retryAt && (!nextRetryAt || result.retryAt < nextRetryAt)){
+            nextRetryAt = result.retryAt;
+        }
+        if(result.published >= BATCH_SIZE && !result.failed){
+            continue;
+        }
+
+        const healthy = result.published > 0 && !result.failed;
+        interval = healthy ? POLL_INTERVAL_MS : Math.min(interval * 2, MAX_IDLE_INTERVAL_MS);
+
+        let wait = listener.isConnected() && !result.failed ? SWEEP_INTERVAL_MS : interval;
+        if(nextRetryAt){
+            wait = Math.min(wait, Math.max(0, nextRetryAt - Date.now()));
+        }
+        await waitForWork(wait);
+
+        if(nextRetryAt && nextRetryAt <= Date.now()){
+            nextRetryAt = null;
+        }
     }
 }
 
+// Claims up to BATCH_SIZE rows, sends them in one produce call and marks them
+// published in one statement, all inside a transaction that holds the row locks.
+//
+// FOR UPDATE SKIP LOCKED lets several publishers run side by side without
+// picking the same rows. Only the oldest unpublished row of each aggregate is
+// eligible, so two publishers can never reorder one order's events. A row that
+// is backing off or parked stays the oldest, so it holds back the rest of its
+// aggregate too.
+//
+// If the batch send fails, rows are sent one at a time to find the one to
+// blame: rows before it are published, it gets a failed attempt recorded and
+// the rest wait for the next pass.
+//
+// Returns { published, failed, retryAt } where retryAt is when the failed row
+// becomes due again (null if it was parked or nothing failed).
 async function publishBatch(){
-    const { rows} = await db.query(`SELECT id,event_id,event_type,aggregate_type,aggregate_id,payload,created_at
-        FROM outbox
-        WHERE published = false
-        ORDER BY created_at
-        LIMIT 10`);
+    const client = await db.getClient();
+    try{
+        await client.query("BEGIN");
+
+        const { rows } = await client.query(`SELECT o.id, o.event_id, o.event_type, o.aggregate_type,
+                o.aggregate_id, o.payload, o.created_at, o.schema_version, o.correlation_id
+            FROM outbox o
+            WHERE o.published = false
+              AND o.parked_at IS NULL
+              AND (o.next_publish_attempt_at IS NULL OR o.next_publish_attempt_at <= now())
+              AND NOT EXISTS (
+                SELECT 1 FROM outbox earlier
+                WHERE earlier.aggregate_id = o.aggregate_id
+                  AND earlier.published = false
+                  AND earlier.id < o.id
+              )
+            ORDER BY o.id
+            LIMIT $1
+            FOR UPDATE OF o SKIP LOCKED`, [BATCH_SIZE]);
 
         if(rows.length === 0){
-            return;
+            await client.query("COMMIT");
+            return { published: 0, failed: false, retryAt: null };
         }
 
-        for(const row of rows){
-            try{
-                await producer.send({
-                    topic: "order-events",
-                    messages:[
-                        {
-                            key: row.aggregate_id,
-                            value: JSON.stringify({
-                                eventId: row.event_id,
-                                eventType: row.event_type,
-                                aggregateType: row.aggregate_type,
-                                aggregateId: row.aggregate_id,
-                                payload: row.payload,
-                                createdAt: row.created_at.toISOString()
-                            }),
-                        }
-                    ]
-                })
-                await db.query(`UPDATE outbox SET published = true,
-                    published_at = NOW()
-                    WHERE id = $1`, [row.id]);
-                    console.log(`Published event ${row.event_id} of type ${row.event_type}`);
-            }catch(err){
-                console.error("Error publishing event:", err);
+        let sent = rows;
+        let failure = null;
+        try{
+            await sendRows(rows);
+        }catch(err){
+            publishErrors.inc();
+            sent = [];
+            for(const row of rows){
+                try{
+                    await sendRows([row]);
+                    sent.push(row);
+                }catch(rowErr){
+                    failure = { row, err: rowErr };
+                    break;
+                }
             }
         }
+
+        if(sent.length > 0){
+            await client.query(`UPDATE outbox SET published = true,
+                published_at = NOW(),
+                publish_attempts = publish_attempts + 1,
+                last_publish_attempt_at = NOW()
+                WHERE id = ANY($1::bigint[])`, [sent.map(row => row.id)]);
+        }
+
+        const retryAt = failure ? await recordFailure(client, failure.row, failure.err) : null;
+
+        await client.query("COMMIT");
+
+        for(const row of sent){
+            eventsPublished.inc({ event_type: row.event_type });
+        }
+        if(sent.length > 0){
+            console.log(`Published batch of ${sent.length} events`);
+        }
+        return { published: sent.length, failed: failure !== null, retryAt };
+    }catch(err){
+        // Rolling back releases the claims; the rows are picked up again next poll
+        await client.query("ROLLBACK");
+        throw err;
+    }finally{
+        client.release();
+    }
 }
 
-function sleep(ms){
-    return new Promise(resolve => setTimeout(resolve, ms));
+// One produce request for all rows, split per destination topic and encoded
+// the way that topic is configured (see serialization.js)
+async function sendRows(rows){
+    const byTopic = new Map();
+    for(const row of rows){
+        const topic = topicFor(row.aggregate_type, row.event_type);
+        if(!byTopic.has(topic)){
+            byTopic.set(topic, []);
+        }
+        const { value, headers } = serialization.encode(topic, {
+            eventId: row.event_id,
+            eventType: row.event_type,
+            aggregateType: row.aggregate_type,
+            aggregateId: row.aggregate_id,
+            schemaVersion: row.schema_version,
+            payload: row.payload,
+            createdAt: row.created_at.toISOString()
+        });
+        byTopic.get(topic).push({
+            key: row.aggregate_id,
+            value,
+            headers: { ...eventHeaders(row), ...headers },
+        });
+    }
+
+    await producer.sendBatch({
+        topicMessages: [...byTopic].map(([topic, messages]) => ({ topic, messages })),
+    });
+}
+
+// Counts a failed attempt against the row and backs it off exponentially;
+// after MAX_PUBLISH_ATTEMPTS it is parked until an operator requeues it.
+// Returns when the row is due again, or null once it is parked.
+async function recordFailure(client, row, err){
+    const { rows: [updated] } = await client.query(`UPDATE outbox SET
+            publish_attempts = publish_attempts + 1,
+            last_publish_error = $2,
+            last_publish_attempt_at = NOW(),
+            next_publish_attempt_at = CASE WHEN publish_attempts + 1 >= $3 THEN NULL
+                ELSE NOW() + LEAST($4 * power(2, publish_attempts), $5) * interval '1 millisecond' END,
+            parked_at = CASE WHEN publish_attempts + 1 >= $3 THEN NOW() END
+        WHERE id = $1
+        RETURNING publish_attempts, next_publish_attempt_at, parked_at`,
+        [row.id, err.message, MAX_PUBLISH_ATTEMPTS, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS]);
+
+    if(updated.parked_at){
+        console.error({
+            type: "OUTBOX_EVENT_PARKED",
+            eventId: row.event_id,
+            eventType: row.event_type,
+            attempts: updated.publish_attempts,
+            error: err.message,
+        });
+        return null;
+    }
+
+    console.error({
+        type: "OUTBOX_PUBLISH_FAILED",
+        eventId: row.event_id,
+        eventType: row.event_type,
+        attempts: updated.publish_attempts,
+        nextAttemptAt: updated.next_publish_attempt_at,
+        error: err.message,
+    });
+    return updated.next_publish_attempt_at.getTime();
+}
+
+async function runCleanup(){
+    try{
+        const removed = await cleanupPublishedEvents({ signal: lifecycle.signal });
+        if(removed > 0){
+            const verb = RETENTION_MODE === "delete" ? "Deleted" : "Archived";
+            console.log(`${verb} ${removed} published outbox events past retention`);
+        }
+    }catch(err){
+        console.error("Error cleaning up outbox:", err);
+    }
+}
+
+// Resolves after ms, on the next notification, or when shutdown starts,
+// whichever comes first
+function waitForWork(ms){
+    return new Promise(resolve => {
+        if(wakeRequested || lifecycle.signal.aborted){
+            wakeRequested = false;
+            return resolve();
+        }
+        const timer = setTimeout(done, ms);
+        function done(){
+            clearTimeout(timer);
+            lifecycle.signal.removeEventListener("abort", done);
+            wake = () => {};
+            wakeRequested = false;
+            resolve();
+        }
+        wake = done;
+        lifecycle.signal.addEventListener("abort", done);
+    });
 }
 
 start().catch(err => {
     console.error("Error starting outbox publisher:", err);
     process.exit(1);
-})
\ No newline at end of file
+})
@@ -0,0 +1,59 @@
+const db = require("../../db/connection");
+
+// Published rows are only kept for the per-order event history; after the
+// retention period they are moved to outbox_archive (or deleted outright with
+// OUTBOX_RETENTION_MODE=delete). Unpublished and parked rows are never touched.
+//
+// Works in small batches with SKIP LOCKED, so it never holds long locks and
+// several publishers can run it at the same time.
+
+const RETENTION_HOURS = Number(process.env.OUTBOX_RETENTION_HOURS) || 7 * 24;
+const CLEANUP_BATCH_SIZE = Number(process.env.OUTBOX_CLEANUP_BATCH_SIZE) || 1000;
+const RETENTION_MODE = process.env.OUTBOX_RETENTION_MODE === "delete" ? "delete" : "archive";
+
+const EXPIRED_ROWS = `
+    SELECT id FROM outbox
+    WHERE published = true
+      AND published_at < now() - $1 * interval '1 hour'
+    ORDER BY published_at
+    LIMIT $2
+    FOR UPDATE SKIP LOCKED
+`;
+
+const ARCHIVE_BATCH = `
+    WITH expired AS (${EXPIRED_ROWS}),
+    moved AS (
+        DELETE FROM outbox o USING expired e
+        WHERE o.id = e.id
+        RETURNING o.*
+    )
+    INSERT INTO outbox_archive (id, event_id, aggregate_type, aggregate_id, event_type,
+        payload, schema_version, correlation_id, publish_attempts, published_at, created_at)
+    SELECT id, event_id, aggregate_type, aggregate_id, event_type,
+        payload, schema_version, correlation_id, publish_attempts, published_at, created_at
+    FROM moved
+`;
+
+const DELETE_BATCH = `DELETE FROM outbox WHERE id IN (${EXPIRED_ROWS})`;
+
+// Returns the number of rows archived or deleted. Stops between batches once
+// `signal` is aborted.
+async function cleanupPublishedEvents({ signal } = {}) {
+  const sql = RETENTION_MODE === "delete" ? DELETE_BATCH : ARCHIVE_BATCH;
+  let total = 0;
+
+  while (!(signal && signal.aborted)) {
+    const result = await db.query(sql, [RETENTION_HOURS, CLEANUP_BATCH_SIZE]);
+    total += result.rowCount;
+    if (result.rowCount < CLEANUP_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return total;
+}
+
+module.exports = {
+  RETENTION_MODE,
+  cleanupPublishedEvents,
+};
@@ -0,0 +1,247 @@
+const { Kafka } = require("kafkajs");
+const { v4: uuidv4 } = require("uuid");
+const db = require("../../db/connection");
+const { topicFor } = require("../events/topicRouting");
+const { HEADERS, readHeader } = require("../events/eventHeaders");
+const serialization = require("../events/serialization");
+
+// A Kafka replay fails once this long passes without a fetched batch while
+// partitions are still short of their end offsets
+const KAFKA_IDLE_TIMEOUT_MS = Number(process.env.REPLAY_KAFKA_IDLE_TIMEOUT_MS) || 30000;
+
+// Where a replay reads order events from, in the shape the projection takes:
+// { eventId, eventType, aggregateId, schemaVersion, payload, createdAt }.
+//
+// The outbox (with outbox_archive) is the full history unless retention runs
+// in delete mode. Kafka only has what the topics still retain, but can be read
+// from any offset or timestamp.
+
+const OUTBOX_EVENTS = `
+  SELECT id, event_id, event_type, aggregate_id, payload, schema_version, created_at::text AS created_at
+  FROM outbox
+  WHERE aggregate_type = 'order' AND aggregate_id = ANY($1::uuid[])
+  UNION ALL
+  SELECT id, event_id, event_type, aggregate_id, payload, schema_version, created_at::text AS created_at
+  FROM outbox_archive
+  WHERE aggregate_type = 'order' AND aggregate_id = ANY($1::uuid[])
+  ORDER BY aggregate_id, id
+`;
+
+// Orders are picked by their first OrderCreated (DLQ replays add later ones)
+const CREATED_ORDERS_PAGE = `
+  SELECT aggregate_id
+  FROM (
+    SELECT aggregate_id, created_at FROM outbox
+    WHERE aggregate_type = 'order' AND event_type = 'OrderCreated'
+    UNION ALL
+    SELECT aggregate_id, created_at FROM outbox_archive
+    WHERE aggregate_type = 'order' AND event_type = 'OrderCreated'
+  ) created
+  WHERE ($1::uuid IS NULL OR aggregate_id > $1)
+  GROUP BY aggregate_id
+  HAVING ($2::timestamptz IS NULL OR min(created_at) >= $2)
+     AND ($3::timestamptz IS NULL OR min(created_at) < $3)
+  ORDER BY aggregate_id
+  LIMIT $4
+`;
+
+function fromOutboxRow(row) {
+  return {
+    eventId: row.event_id,
+    eventType: row.event_type,
+    aggregateId: row.aggregate_id,
+    schemaVersion: row.schema_version,
+    payload: row.payload,
+    createdAt: row.created_at,
+  };
+}
+
+// Every outbox event of the given orders, oldest first per order. created_at
+// stays text so the rebuilt timestamps keep their microseconds.
+async function outboxEventsFor(orderIds, client = db) {
+  const { rows } = await client.query(OUTBOX_EVENTS, [orderIds]);
+  return rows.map(fromOutboxRow);
+}
+
+/**
+ * Reads complete outbox histories, `batchSize` orders at a time, and calls
+ * `onBatch(events)` for each batch. Selects `orderIds` if given, otherwise the
+ * orders created in [from, to) (either end may be null for open-ended).
+ */
+async function readOutboxEvents({ orderIds, from = null, to = null, batchSize }, onBatch) {
+  if (orderIds) {
+    await onBatch(await outboxEventsFor(orderIds));
+    return;
+  }
+
+  let after = null;
+  for (;;) {
+    const { rows } = await db.query(CREATED_ORDERS_PAGE, [after, from, to, batchSize]);
+    if (rows.length === 0) {
+      return;
+    }
+    await onBatch(await outboxEventsFor(rows.map(row => row.aggregate_id)));
+    after = rows[rows.length - 1].aggregate_id;
+  }
+}
+
+// Messages carry the aggregate-type header; ones without it are trusted to be
+// order events, since they came from an order topic
+function isWanted(message, orderId) {
+  const aggregateType = readHeader(message, HEADERS.aggregateType);
+  if (aggregateType !== undefined && aggregateType !== "order") {
+    return false;
+  }
+  return !orderId || (message.key !== null && message.key.toString() === orderId);
+}
+
+function fromKafkaMessage(message) {
+  const envelope = serialization.decode(message);
+  return {
+    eventId: envelope.eventId,
+    eventType: envelope.eventType,
+    aggregateId: envelope.aggregateId,
+    schemaVersion: Number(readHeader(message, HEADERS.schemaVersion) || envelope.schemaVersion) || 1,
+    payload: envelope.payload,
+    createdAt: envelope.createdAt,
+  };
+}
+
+// Start offset per partition: at `fromTime`, at `fromOffset`, or the earliest
+// still retained. Partitions with nothing between start and end are left out.
+async function partitionRanges(admin, topic, { fromOffset, fromTime }) {
+  const ends = await admin.fetchTopicOffsets(topic);
+  const starts = fromTime ? await admin.fetchTopicOffsetsByTimestamp(topic, fromTime.getTime()) : [];
+
+  return ends
+    .map(({ partition, offset: high, low }) => {
+      let start = Number(low);
+      if (fromTime) {
+        const found = starts.find(entry => entry.partition === partition);
+        start = found && Number(found.offset) >= 0 ? Number(found.offset) : Number(high);
+      } else if (fromOffset !== undefined) {
+        start = Math.max(start, fromOffset);
+      }
+      return { topic, partition, start, end: Number(high) };
+    })
+    .filter(range => range.start < range.end);
+}
+
+/**
+ * Reads order events from Kafka and calls `onEvent(event)` for each one, in
+ * order within each partition (so per order). Stops at the end offsets seen
+ * when it started. Uses a throwaway consumer group and commits nothing.
+ *
+ * A partition is done once a fetched batch reaches its end offset. The batch's
+ * last offset counts transaction markers and compacted-away records, which
+ * never arrive as messages, so the last message may sit well before the end.
+ * Fails after KAFKA_IDLE_TIMEOUT_MS without a batch.
+ *
+ * `topics` defaults to wherever order events are routed. `fromOffset` applies
+ * to every partition; `fromTime` (a Date) starts each partition at the first
+ * message at or after it. `orderId` skips other orders' messages and `to`
+ * skips events created at or after it.
+ */
+async function readKafkaEvents({ topics, fromOffset, fromTime, to, orderId, eventTypes }, onEvent) {
+  const kafka = new Kafka({ clientId: "order-replay", brokers: [process.env.KAFKA_BROKER] });
+  const admin = kafka.admin();
+  const inputTopics = topics || [...new Set(eventTypes.map(eventType => topicFor("order", eventType)))];
+
+  await admin.connect();
+  let ranges;
+  try {
+    ranges = (await Promise.all(inputTopics.map(topic => partitionRanges(admin, topic, { fromOffset, fromTime })))).flat();
+  } finally {
+    await admin.disconnect();
+  }
+  if (ranges.length === 0) {
+    return;
+  }
+
+  const consumer = kafka.consumer({ groupId: `order-replay-${uuidv4()}` });
+  const remaining = new Map(ranges.map(range => [`${range.topic}:${range.partition}`, { ...range, position: range.start }]));
+  let finish;
+  let fail;
+  const done = new Promise((resolve, reject) => {
+    finish = resolve;
+    fail = reject;
+  });
+
+  let idleTimer;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      const behind = [...remaining.values()].map(range => `${range.topic}[${range.partition}] at ${range.position} of ${range.end}`);
+      fail(new Error(`No Kafka batch for ${KAFKA_IDLE_TIMEOUT_MS}ms, still reading ${behind.join(", ")}`));
+    }, KAFKA_IDLE_TIMEOUT_MS);
+  };
+
+  // `lastOffset` is the last offset the batch covered, filtered records included
+  const reached = (topic, partition, lastOffset) => {
+    const range = remaining.get(`${topic}:${partition}`);
+    if (!range) {
+      return;
+    }
+    range.position = Math.max(range.position, Number(lastOffset) + 1);
+    if (range.position >= range.end) {
+      remaining.delete(`${topic}:${partition}`);
+      if (remaining.size === 0) {
+        clearTimeout(idleTimer);
+        finish();
+      }
+    }
+  };
+
+  await consumer.connect();
+  try {
+    await consumer.subscribe({ topics: [...new Set(ranges.map(range => range.topic))] });
+    // Batches holding only transaction markers or aborted records skip
+    // eachBatch, but still report how far they got
+    consumer.on(consumer.events.END_BATCH_PROCESS, ({ payload }) => {
+      resetIdleTimer();
+      reached(payload.topic, payload.partition, payload.lastOffset);
+    });
+    await consumer.run({
+      autoCommit: false,
+      eachBatch: async ({ batch }) => {
+        resetIdleTimer();
+        const range = remaining.get(`${batch.topic}:${batch.partition}`);
+        if (!range) {
+          return;
+        }
+        for (const message of batch.messages) {
+          if (Number(message.offset) >= range.end) {
+            break;
+          }
+          try {
+            if (isWanted(message, orderId)) {
+              const event = fromKafkaMessage(message);
+              if (!to || new Date(event.createdAt) < to) {
+                onEvent(event);
+              }
+            }
+          } catch (err) {
+            fail(new Error(`Can't read ${batch.topic}[${batch.partition}] at offset ${message.offset}: ${err.message}`));
+            return;
+          }
+        }
+        reached(batch.topic, batch.partition, batch.lastOffset());
+      },
+    });
+    // Seeking is only allowed once the consumer runs
+    for (const range of ranges) {
+      consumer.seek({ topic: range.topic, partition: range.partition, offset: String(range.start) });
+    }
+    resetIdleTimer();
+    await done;
+  } finally {
+    clearTimeout(idleTimer);
+    await consumer.disconnect();
+  }
+}
+
+module.exports = {
+  outboxEventsFor,
+  readOutboxEvents,
+  readKafkaEvents,
+};
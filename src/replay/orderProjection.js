@@ -0,0 +1,138 @@
+const { STATES, INITIAL_STATE, TRANSITIONS } = require("../orders/stateMachine");
+const schemaRegistry = require("../events/schemaRegistry");
+
+// Rebuilds `orders` rows from order events. The API and worker write the
+// order and its events in one transaction, so an order's events carry the
+// same timestamps as the row: OrderCreated gives created_at, each
+// transition's first event gives the new state, version + 1 and updated_at.
+//
+// CREATED -> PAYMENT_PENDING is the one transition without an event. An
+// OrderPaid or OrderFailed seen while the order is CREATED implies it, and
+// an order whose history ends at OrderCreated may be either.
+//
+// Events are applied per order in the order they were written. Anything that
+// doesn't fit the order's current state is counted and left out instead of
+// failing the rebuild: DLQ replays republish OrderCreated and
+// OrderCancellationRequested under new ids, and the publisher or Kafka can
+// deliver an event twice.
+
+const APPLY_OUTCOME = {
+  APPLIED: "APPLIED",
+  // Second event of a transition that emits several (RefundIssued + OrderRefunded)
+  COMPANION: "COMPANION",
+  // Event id already applied, or a second OrderCreated
+  DUPLICATE: "DUPLICATE",
+  // The order isn't in the transition's `from` state
+  UNEXPECTED: "UNEXPECTED",
+  // No OrderCreated seen for the order (history starts later than the order)
+  NO_ORDER: "NO_ORDER",
+  // OrderCreated payload that doesn't match any schema version
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  // Not an order state event
+  IGNORED: "IGNORED",
+};
+
+// Event type -> transition it records, and the other events it emits
+const TRANSITION_BY_EVENT = new Map();
+const COMPANION_EVENTS = new Set();
+for (const transition of TRANSITIONS) {
+  const [first, ...rest] = transition.emits;
+  if (first) {
+    TRANSITION_BY_EVENT.set(first, transition);
+  }
+  rest.forEach(eventType => COMPANION_EVENTS.add(eventType));
+}
+
+// Everything the projection reads, e.g. to find the topics to replay
+const PROJECTED_EVENT_TYPES = ["OrderCreated", ...TRANSITION_BY_EVENT.keys(), ...COMPANION_EVENTS];
+
+/**
+ * Projection state for any number of orders. `apply(event)` takes
+ * `{ eventId, eventType, aggregateId, schemaVersion, payload, createdAt }`
+ * and returns an APPLY_OUTCOME.
+ *
+ * `orders()` returns the rebuilt rows, shaped like `orders` rows.
+ */
+function createOrderProjection() {
+  const orders = new Map();
+  const seenEventIds = new Set();
+  const outcomes = Object.fromEntries(Object.values(APPLY_OUTCOME).map(outcome => [outcome, 0]));
+
+  function applyEvent(event) {
+    const order = orders.get(event.aggregateId);
+    const createdAt = event.createdAt;
+
+    if (event.eventType === "OrderCreated") {
+      if (order) {
+        return APPLY_OUTCOME.DUPLICATE;
+      }
+      let payload;
+      try {
+        payload = schemaRegistry.upcast(event.eventType, event.schemaVersion || 1, event.payload);
+      } catch (err) {
+        if (!(err instanceof schemaRegistry.EventSchemaError || err instanceof schemaRegistry.UnknownSchemaError)) {
+          throw err;
+        }
+        return APPLY_OUTCOME.INVALID_PAYLOAD;
+      }
+      const { userId, amount, currency } = payload;
+      orders.set(event.aggregateId, {
+        id: event.aggregateId,
+        user_id: userId,
+        amount,
+        currency,
+        state: INITIAL_STATE,
+        version: 0,
+        created_at: createdAt,
+        updated_at: createdAt,
+      });
+      return APPLY_OUTCOME.APPLIED;
+    }
+
+    if (COMPANION_EVENTS.has(event.eventType)) {
+      return order ? APPLY_OUTCOME.COMPANION : APPLY_OUTCOME.NO_ORDER;
+    }
+
+    const transition = TRANSITION_BY_EVENT.get(event.eventType);
+    if (!transition) {
+      return APPLY_OUTCOME.IGNORED;
+    }
+    if (!order) {
+      return APPLY_OUTCOME.NO_ORDER;
+    }
+
+    // startPayment emits nothing: the order went through PAYMENT_PENDING
+    // without an event of its own
+    if (order.state === STATES.CREATED && transition.from === STATES.PAYMENT_PENDING) {
+      order.state = STATES.PAYMENT_PENDING;
+      order.version += 1;
+    }
+
+    if (order.state !== transition.from) {
+      return APPLY_OUTCOME.UNEXPECTED;
+    }
+    order.state = transition.to;
+    order.version += 1;
+    order.updated_at = createdAt;
+    return APPLY_OUTCOME.APPLIED;
+  }
+
+  function apply(event) {
+    const outcome = seenEventIds.has(event.eventId) ? APPLY_OUTCOME.DUPLICATE : applyEvent(event);
+    seenEventIds.add(event.eventId);
+    outcomes[outcome] += 1;
+    return outcome;
+  }
+
+  return {
+    apply,
+    orders: () => [...orders.values()],
+    outcomes: () => ({ ...outcomes }),
+  };
+}
+
+module.exports = {
+  APPLY_OUTCOME,
+  PROJECTED_EVENT_TYPES,
+  createOrderProjection,
+};
@@ -0,0 +1,211 @@
+const db = require("../../db/connection");
+const { STATES } = require("../orders/stateMachine");
+const { createOrderProjection } = require("./orderProjection");
+const { outboxEventsFor } = require("./eventSources");
+
+// Rebuilt orders go to a shadow table next to `orders`, are diffed against it,
+// and can then be written back.
+//
+// Writing back updates and inserts rows in `orders` rather than renaming the
+// shadow table into place: payment_attempts references orders(id), and the
+// API and worker keep writing while a rebuild runs. Rows that exist only in
+// `orders` are reported, never deleted.
+//
+// Starting a payment (CREATED -> PAYMENT_PENDING) emits no event, so an order
+// still waiting for its payment outcome is rebuilt as CREATED. That is
+// reported as UNRECORDED_PAYMENT_START rather than DIFFERENT and never
+// written back, which would roll the live order back.
+
+const SHADOW_TABLE = "orders_rebuild";
+// Live rows as they were before the last write-back
+const BACKUP_TABLE = "orders_before_rebuild";
+
+const COLUMNS = ["id", "user_id", "amount", "currency", "state", "version", "created_at", "updated_at"];
+const COMPARED = COLUMNS.filter(column => column !== "id");
+
+const DIFF_KIND = {
+  // Rebuilt and live rows disagree on at least one column
+  DIFFERENT: "DIFFERENT",
+  // The events describe an order that isn't in `orders`
+  MISSING_IN_LIVE: "MISSING_IN_LIVE",
+  // An order in scope has no history to rebuild it from
+  MISSING_IN_REBUILD: "MISSING_IN_REBUILD",
+  // Live order is PAYMENT_PENDING, its events end at CREATED: expected while
+  // a payment is in progress, left alone by write-back
+  UNRECORDED_PAYMENT_START: "UNRECORDED_PAYMENT_START",
+};
+
+function columnList(alias) {
+  return COLUMNS.map(column => `${alias}.${column}`).join(", ");
+}
+
+// Timestamps read from Kafka envelopes only have millisecond precision
+function columnDiffers(column, a, b) {
+  if (column === "created_at" || column === "updated_at") {
+    return `abs(extract(epoch FROM ${a}.${column} - ${b}.${column})) >= 0.001`;
+  }
+  return `${a}.${column} IS DISTINCT FROM ${b}.${column}`;
+}
+
+function rowsDiffer(a, b) {
+  return `(${COMPARED.map(column => columnDiffers(column, a, b)).join(" OR ")})`;
+}
+
+function unrecordedPaymentStart(live, rebuilt) {
+  return `(${live}.state = '${STATES.PAYMENT_PENDING}' AND ${rebuilt}.state = '${STATES.CREATED}')`;
+}
+
+async function createShadowTable() {
+  await db.query(`DROP TABLE IF EXISTS ${SHADOW_TABLE}`);
+  await db.query(`CREATE TABLE ${SHADOW_TABLE} (LIKE orders INCLUDING DEFAULTS INCLUDING CONSTRAINTS INCLUDING INDEXES)`);
+}
+
+async function writeRows(client, table, orders) {
+  if (orders.length === 0) {
+    return;
+  }
+  await client.query(
+    `INSERT INTO ${table} (${COLUMNS.join(", ")})
+     SELECT ${COLUMNS.join(", ")} FROM json_populate_recordset(null::${table}, $1)`,
+    [JSON.stringify(orders)]
+  );
+}
+
+async function writeShadowRows(orders) {
+  await writeRows(db, SHADOW_TABLE, orders);
+}
+
+// Live rows the shadow table is compared with: `{ orderIds }`, or `{ from, to }`
+// on created_at (a null end is open, so `{}` is every order). Without a scope
+// only the rebuilt orders are compared and nothing is MISSING_IN_REBUILD.
+function liveScope(scope) {
+  if (!scope) {
+    return { where: `id IN (SELECT id FROM ${SHADOW_TABLE})`, params: [] };
+  }
+  if (scope.orderIds) {
+    return { where: "id = ANY($1::uuid[])", params: [scope.orderIds] };
+  }
+  return {
+    where: "($1::timestamptz IS NULL OR created_at >= $1) AND ($2::timestamptz IS NULL OR created_at < $2)",
+    params: [scope.from || null, scope.to || null],
+  };
+}
+
+function toDifference(row) {
+  const live = row.live_id === null ? null : {};
+  const rebuilt = row.rebuilt_id === null ? null : {};
+  for (const column of COLUMNS) {
+    if (live) {
+      live[column] = row[`live_${column}`];
+    }
+    if (rebuilt) {
+      rebuilt[column] = row[`rebuilt_${column}`];
+    }
+  }
+
+  if (!live) {
+    return { orderId: rebuilt.id, kind: DIFF_KIND.MISSING_IN_LIVE, rebuilt };
+  }
+  if (!rebuilt) {
+    return { orderId: live.id, kind: DIFF_KIND.MISSING_IN_REBUILD, live };
+  }
+  const columns = COMPARED.filter(column => row[`differs_${column}`]);
+  const kind = row.unrecorded_payment_start ? DIFF_KIND.UNRECORDED_PAYMENT_START : DIFF_KIND.DIFFERENT;
+  return { orderId: live.id, kind, columns, live, rebuilt };
+}
+
+/**
+ * Compares the shadow table with `orders` (see liveScope for `scope`).
+ * Returns `{ rebuilt, compared, differences }`, where each difference has
+ * `orderId`, `kind`, the differing `columns` and the `live`/`rebuilt` rows.
+ */
+async function diffShadow(scope) {
+  const { where, params } = liveScope(scope);
+  const select = [
+    ...COLUMNS.map(column => `l.${column} AS live_${column}, r.${column} AS rebuilt_${column}`),
+    ...COMPARED.map(column => `${columnDiffers(column, "l", "r")} AS differs_${column}`),
+    `coalesce(${unrecordedPaymentStart("l", "r")}, false) AS unrecorded_payment_start`,
+  ].join(", ");
+
+  const { rows } = await db.query(
+    `
+    SELECT ${select}
+    FROM (SELECT * FROM orders WHERE ${where}) l
+    FULL JOIN ${SHADOW_TABLE} r ON r.id = l.id
+    WHERE l.id IS NULL OR r.id IS NULL OR ${rowsDiffer("l", "r")}
+    ORDER BY coalesce(l.id, r.id)
+    `,
+    params
+  );
+  const { rows: [counts] } = await db.query(
+    `SELECT (SELECT count(*)::int FROM ${SHADOW_TABLE}) AS rebuilt,
+            (SELECT count(*)::int FROM orders WHERE ${where}) AS compared`,
+    params
+  );
+
+  return { ...counts, differences: rows.map(toDifference) };
+}
+
+/**
+ * Writes the rebuilt state of `orderIds` into `orders`. Runs with writes to
+ * `orders` locked out and rebuilds those orders again from the outbox inside
+ * the lock, so a change committed since the shadow table was built is kept
+ * rather than overwritten. Orders whose payment has started since their last
+ * event are skipped. The rows it replaces are copied to
+ * orders_before_rebuild first.
+ *
+ * Returns `{ updated, inserted }`.
+ */
+async function writeBack(orderIds) {
+  const client = await db.getClient();
+  try {
+    await client.query("BEGIN");
+    // Blocks the API and worker (they write orders and outbox together) until commit
+    await client.query("LOCK TABLE orders IN SHARE ROW EXCLUSIVE MODE");
+
+    const projection = createOrderProjection();
+    for (const event of await outboxEventsFor(orderIds, client)) {
+      projection.apply(event);
+    }
+    const orders = projection.orders();
+
+    await client.query(`DROP TABLE IF EXISTS ${BACKUP_TABLE}`);
+    await client.query(`CREATE TABLE ${BACKUP_TABLE} AS SELECT * FROM orders WHERE id = ANY($1::uuid[])`, [orderIds]);
+    await client.query(`CREATE TEMP TABLE rebuilt_orders (LIKE orders) ON COMMIT DROP`);
+    await writeRows(client, "rebuilt_orders", orders);
+
+    const updated = await client.query(
+      `
+      UPDATE orders o
+      SET ${COMPARED.map(column => `${column} = r.${column}`).join(", ")}
+      FROM rebuilt_orders r
+      WHERE o.id = r.id AND ${rowsDiffer("o", "r")} AND NOT ${unrecordedPaymentStart("o", "r")}
+      `
+    );
+    const inserted = await client.query(
+      `
+      INSERT INTO orders (${COLUMNS.join(", ")})
+      SELECT ${columnList("r")} FROM rebuilt_orders r
+      WHERE NOT EXISTS (SELECT 1 FROM orders o WHERE o.id = r.id)
+      `
+    );
+
+    await client.query("COMMIT");
+    return { updated: updated.rowCount, inserted: inserted.rowCount };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  SHADOW_TABLE,
+  BACKUP_TABLE,
+  DIFF_KIND,
+  createShadowTable,
+  writeShadowRows,
+  diffShadow,
+  writeBack,
+};
@@ -0,0 +1,48 @@
+/**
+ * Caps how many calls to one dependency are in flight at a time. Calls past
+ * `maxConcurrent` wait in FIFO order for a free slot; a slow dependency then
+ * holds at most `maxConcurrent` of our connections and sockets.
+ */
+function createBulkhead({ maxConcurrent = 10 } = {}) {
+  let inFlight = 0;
+  const waiting = [];
+
+  function acquire() {
+    if (inFlight < maxConcurrent) {
+      inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => waiting.push(resolve));
+  }
+
+  // Hands the slot straight to the next waiter, if any
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      inFlight--;
+    }
+  }
+
+  async function run(call) {
+    await acquire();
+    try {
+      return await call();
+    } finally {
+      release();
+    }
+  }
+
+  return {
+    get inFlight() {
+      return inFlight;
+    },
+    get queued() {
+      return waiting.length;
+    },
+    run,
+  };
+}
+
+module.exports = { createBulkhead };
@@ -0,0 +1,152 @@
+const CIRCUIT_STATE = {
+  CLOSED: "CLOSED",
+  OPEN: "OPEN",
+  HALF_OPEN: "HALF_OPEN",
+};
+
+// Thrown instead of making the call while the circuit is open (or while the
+// half-open probes are already in flight). `retryAfterMs` says when the next
+// probe is allowed.
+class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`Circuit ${name} is open`);
+    this.name = "CircuitOpenError";
+    this.code = "CIRCUIT_OPEN";
+    this.retryable = true;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Circuit breaker for calls to one dependency.
+ *
+ * CLOSED: calls go through. `failureThreshold` consecutive failures open it.
+ * OPEN: calls are rejected with CircuitOpenError for `openDurationMs`.
+ * HALF_OPEN: up to `halfOpenProbes` calls go through at a time. That many
+ * successes close the circuit again; any failure reopens it.
+ *
+ * `isFailure(err)` decides which errors count against the dependency (by
+ * default all of them). Errors that don't count are rethrown without
+ * changing the state. `onStateChange(from, to)` is called on every
+ * transition.
+ */
+function createCircuitBreaker(name, {
+  failureThreshold = 5,
+  openDurationMs = 30000,
+  halfOpenProbes = 1,
+  isFailure = () => true,
+  onStateChange = () => {},
+} = {}) {
+  let state = CIRCUIT_STATE.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let probesInFlight = 0;
+  let probeSuccesses = 0;
+
+  function moveTo(next) {
+    if (next === state) {
+      return;
+    }
+    const previous = state;
+    state = next;
+    failures = 0;
+    probesInFlight = 0;
+    probeSuccesses = 0;
+    if (next === CIRCUIT_STATE.OPEN) {
+      openedAt = Date.now();
+    }
+    onStateChange(previous, next);
+  }
+
+  // Time left until the next probe may go out; 0 when calls are allowed now
+  function retryAfterMs() {
+    if (state === CIRCUIT_STATE.OPEN) {
+      return Math.max(0, openedAt + openDurationMs - Date.now());
+    }
+    if (state === CIRCUIT_STATE.HALF_OPEN && probesInFlight >= halfOpenProbes) {
+      return openDurationMs;
+    }
+    return 0;
+  }
+
+  // Whether a call made now would go through. An open circuit whose open
+  // duration has passed moves to HALF_OPEN here.
+  function isCallPermitted() {
+    if (state === CIRCUIT_STATE.OPEN && retryAfterMs() === 0) {
+      moveTo(CIRCUIT_STATE.HALF_OPEN);
+    }
+    return retryAfterMs() === 0;
+  }
+
+  // Throws CircuitOpenError when a call made now would be rejected
+  function assertCallPermitted() {
+    if (!isCallPermitted()) {
+      throw new CircuitOpenError(name, retryAfterMs());
+    }
+  }
+
+  function onSuccess(probe) {
+    if (!probe) {
+      failures = 0;
+      return;
+    }
+    probeSuccesses++;
+    if (probeSuccesses >= halfOpenProbes) {
+      moveTo(CIRCUIT_STATE.CLOSED);
+    }
+  }
+
+  function onFailure(probe) {
+    if (probe) {
+      moveTo(CIRCUIT_STATE.OPEN);
+      return;
+    }
+    failures++;
+    if (failures >= failureThreshold) {
+      moveTo(CIRCUIT_STATE.OPEN);
+    }
+  }
+
+  async function execute(call) {
+    assertCallPermitted();
+
+    const probe = state === CIRCUIT_STATE.HALF_OPEN;
+    if (probe) {
+      probesInFlight++;
+    }
+
+    let result;
+    try {
+      result = await call();
+    } catch (err) {
+      // A probe that failed after the circuit already moved on doesn't count
+      if (isFailure(err) && probe === (state === CIRCUIT_STATE.HALF_OPEN)) {
+        onFailure(probe);
+      } else if (probe && state === CIRCUIT_STATE.HALF_OPEN) {
+        probesInFlight--;
+      }
+      throw err;
+    }
+
+    if (probe === (state === CIRCUIT_STATE.HALF_OPEN)) {
+      onSuccess(probe);
+    }
+    return result;
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+    execute,
+    isCallPermitted,
+    assertCallPermitted,
+    retryAfterMs,
+  };
+}
+
+module.exports = {
+  CIRCUIT_STATE,
+  CircuitOpenError,
+  createCircuitBreaker,
+};
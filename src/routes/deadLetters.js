@@ -0,0 +1,328 @@
+const express = require('express');
+const db = require('../../db/connection');
+const { sendError } = require('../http/errors');
+const { pageSize, encodeCursor, decodeCursor } = require('../http/pagination');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/deadLetterSchemas');
+const schemaRegistry = require('../events/schemaRegistry');
+
+const router = express.Router();
+
+// Outcome of the most recent replay, derived from what the consumer that
+// dead-lettered the entry recorded for the replayed event: marked processed,
+// dead-lettered again (which puts the entry back to PENDING), or nothing yet.
+// Replays made before they kept the event id went out under a new id, which
+// has its own dead-letter entry.
+const SELECT_DEAD_LETTER = `
+    SELECT d.event_id, d.event_type, d.aggregate_id, d.payload, d.failed_at, d.reason,
+           d.schema_version, d.consumer_name, d.status, d.replay_count, d.last_replayed_at, d.last_replay_event_id, d.last_replayed_by,
+           d.discarded_at, d.discarded_by, d.discard_note, d.raw_value, d.raw_headers, d.failed_at::text AS cursor_at,
+           CASE
+               WHEN d.last_replay_event_id IS NULL THEN NULL
+               WHEN EXISTS (SELECT 1 FROM processed_events p WHERE p.event_id = d.last_replay_event_id AND p.consumer_name = d.consumer_name) THEN 'SUCCEEDED'
+               WHEN EXISTS (SELECT 1 FROM dead_letter_events r WHERE r.event_id = d.last_replay_event_id AND r.event_id <> d.event_id AND r.consumer_name = d.consumer_name) THEN 'FAILED'
+               WHEN d.status = 'PENDING' THEN 'FAILED'
+               ELSE 'PENDING'
+           END AS last_replay_outcome
+    FROM dead_letter_events d
+`;
+
+// Entries are keyed by event and consumer: every consumer that gives up on an
+// event dead-letters it separately. Requests name the entry by event id, plus
+// `consumer` when more than one consumer dead-lettered that event.
+function matchEntries(alias = 'd'){
+    return `${alias}.event_id = $1 AND ($2::text IS NULL OR ${alias}.consumer_name = $2)`;
+}
+
+function sendAmbiguous(res, field, consumers){
+    return sendError(res, 409, "DEAD_LETTER_AMBIGUOUS", "Event was dead-lettered by more than one consumer", [
+        { field, message: `is required, one of: ${consumers.join(', ')}` },
+    ]);
+}
+
+function toDeadLetterResponse(row, { includePayload = true } = {}){
+    return {
+        eventId: row.event_id,
+        eventType: row.event_type,
+        aggregateId: row.aggregate_id,
+        ...(includePayload ? {
+            payload: row.payload,
+            // Messages the consumer couldn't decode, as received (value in base64)
+            rawMessage: row.raw_value ? { value: row.raw_value.toString('base64'), headers: row.raw_headers } : null,
+        } : {}),
+        schemaVersion: row.schema_version,
+        consumer: row.consumer_name,
+        failedAt: row.failed_at,
+        reason: row.reason,
+        status: row.status,
+        replay: {
+            attempts: row.replay_count,
+            lastReplayedAt: row.last_replayed_at,
+            lastReplayedBy: row.last_replayed_by,
+            lastReplayEventId: row.last_replay_event_id,
+            lastOutcome: row.last_replay_outcome,
+        },
+        discard: row.discarded_at ? {
+            discardedAt: row.discarded_at,
+            discardedBy: row.discarded_by,
+            note: row.discard_note,
+        } : null,
+    };
+}
+
+// Marks each entry for replay. The consumer that dead-lettered it picks it up
+// and puts the event back on its own retry topic under its original id (see
+// eventConsumer.js), so no other consumer sees it again and it is not added
+// to the order's event history. Runs in the caller's transaction.
+//
+// Entries whose payload or version this process can't upcast to the current
+// schema are reported as INVALID_PAYLOAD, and events several consumers
+// dead-lettered, with no `consumer`, as AMBIGUOUS.
+async function replayEntries(client, eventIds, consumer, operator, correlationId){
+    const results = [];
+
+    for(const eventId of eventIds){
+        const { rows } = await client.query(
+            `SELECT event_id, event_type, aggregate_id, payload, schema_version, consumer_name, status,
+                    raw_value IS NOT NULL AS undecoded
+             FROM dead_letter_events d
+             WHERE ${matchEntries()}
+             ORDER BY consumer_name
+             FOR UPDATE`,
+            [eventId, consumer || null]
+        );
+
+        if(rows.length === 0){
+            results.push({ eventId, result: 'NOT_FOUND' });
+            continue;
+        }
+        if(rows.length > 1){
+            results.push({ eventId, result: 'AMBIGUOUS', consumers: rows.map(row => row.consumer_name) });
+            continue;
+        }
+        if(rows[0].status === 'DISCARDED'){
+            results.push({ eventId, consumer: rows[0].consumer_name, result: 'DISCARDED' });
+            continue;
+        }
+
+        const entry = rows[0];
+
+        try{
+            // Entries written before schema versions were recorded are v1. An
+            // undecoded message is replayed as received and checked on decode.
+            if(!entry.undecoded){
+                schemaRegistry.upcast(entry.event_type, entry.schema_version || 1, entry.payload);
+            }
+        }catch(err){
+            if(!(err instanceof schemaRegistry.EventSchemaError || err instanceof schemaRegistry.UnknownSchemaError)){
+                throw err;
+            }
+            results.push({ eventId, consumer: entry.consumer_name, result: 'INVALID_PAYLOAD', error: err.message });
+            continue;
+        }
+
+        await client.query(
+            `
+            UPDATE dead_letter_events
+            SET status = 'REPLAYED',
+                replay_requested = true,
+                replay_count = replay_count + 1,
+                last_replayed_at = now(),
+                last_replay_event_id = event_id,
+                last_replayed_by = $2,
+                last_replay_correlation_id = $3
+            WHERE event_id = $1 AND consumer_name = $4
+            `,
+            [eventId, operator || null, correlationId || null, entry.consumer_name]
+        );
+
+        results.push({ eventId, consumer: entry.consumer_name, result: 'REPLAYED' });
+    }
+
+    return results;
+}
+
+async function replayInTransaction(eventIds, consumer, operator, correlationId){
+    const client = await db.getClient();
+    try{
+        await client.query('BEGIN');
+        const results = await replayEntries(client, eventIds, consumer, operator, correlationId);
+        await client.query("COMMIT");
+        return results;
+    }catch(err){
+        await client.query("ROLLBACK");
+        throw err;
+    }finally{
+        client.release();
+    }
+}
+
+router.get('/', validate(schemas.listDeadLetters), async(req,res)=>{
+    const { eventType, reason, status, consumer, failedFrom, failedTo, cursor } = req.query;
+    const limit = pageSize(req.query.limit);
+
+    const conditions = [];
+    const params = [];
+
+    if(eventType){
+        params.push(eventType);
+        conditions.push(`d.event_type = $${params.length}`);
+    }
+    if(reason){
+        params.push(`%${reason}%`);
+        conditions.push(`d.reason ILIKE $${params.length}`);
+    }
+    if(status){
+        params.push(status);
+        conditions.push(`d.status = $${params.length}`);
+    }
+    if(consumer){
+        params.push(consumer);
+        conditions.push(`d.consumer_name = $${params.length}`);
+    }
+    if(failedFrom){
+        params.push(failedFrom);
+        conditions.push(`d.failed_at >= $${params.length}`);
+    }
+    if(failedTo){
+        params.push(failedTo);
+        conditions.push(`d.failed_at < $${params.length}`);
+    }
+    if(cursor){
+        const decoded = decodeCursor(cursor);
+        if(!decoded){
+            return sendError(res, 400, "VALIDATION_ERROR", "Request validation failed", [
+                { field: "query.cursor", message: "is not a valid cursor" },
+            ]);
+        }
+        params.push(decoded.at, decoded.id);
+        conditions.push(`(d.failed_at, d.event_id) < ($${params.length - 1}, $${params.length})`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit + 1);
+
+    try{
+        const { rows } = await db.query(
+            `
+            ${SELECT_DEAD_LETTER}
+            ${where}
+            ORDER BY d.failed_at DESC, d.event_id DESC
+            LIMIT $${params.length}
+            `,
+            params
+        );
+
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = rows.length > limit ? encodeCursor(last.cursor_at, last.event_id) : null;
+
+        res.json({
+            deadLetters: page.map(row => toDeadLetterResponse(row, { includePayload: false })),
+            nextCursor,
+        });
+    }catch(err){
+        console.error("Error listing dead letters:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to list dead-letter events");
+    }
+})
+
+router.post('/replay', validate(schemas.replayDeadLetters), async(req,res)=>{
+    const { eventIds, consumer, operator } = req.body;
+
+    try{
+        const results = await replayInTransaction([...new Set(eventIds)], consumer, operator, req.correlationId);
+        res.json({ results });
+    }catch(err){
+        console.error("Error replaying dead letters:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to replay dead-letter events");
+    }
+})
+
+router.get('/:eventId', validate(schemas.getDeadLetter), async(req,res)=>{
+    try{
+        const { rows } = await db.query(
+            `${SELECT_DEAD_LETTER} WHERE ${matchEntries()} ORDER BY d.consumer_name`,
+            [req.params.eventId, req.query.consumer || null]
+        );
+
+        if(rows.length === 0){
+            return sendError(res, 404, "DEAD_LETTER_NOT_FOUND", "Dead-letter event not found");
+        }
+        if(rows.length > 1){
+            return sendAmbiguous(res, "query.consumer", rows.map(row => row.consumer_name));
+        }
+
+        res.json(toDeadLetterResponse(rows[0]));
+    }catch(err){
+        console.error("Error fetching dead letter:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch dead-letter event");
+    }
+})
+
+router.post('/:eventId/replay', validate(schemas.replayDeadLetter), async(req,res)=>{
+    try{
+        const { consumer, operator } = req.body;
+        const [result] = await replayInTransaction([req.params.eventId], consumer, operator, req.correlationId);
+
+        if(result.result === 'NOT_FOUND'){
+            return sendError(res, 404, "DEAD_LETTER_NOT_FOUND", "Dead-letter event not found");
+        }
+        if(result.result === 'AMBIGUOUS'){
+            return sendAmbiguous(res, "body.consumer", result.consumers);
+        }
+        if(result.result === 'DISCARDED'){
+            return sendError(res, 409, "DEAD_LETTER_DISCARDED", "Discarded dead-letter events cannot be replayed");
+        }
+        if(result.result === 'INVALID_PAYLOAD'){
+            return sendError(res, 422, "DEAD_LETTER_INVALID_PAYLOAD", result.error);
+        }
+
+        res.status(202).json(result);
+    }catch(err){
+        console.error("Error replaying dead letter:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to replay dead-letter event");
+    }
+})
+
+router.post('/:eventId/discard', validate(schemas.discardDeadLetter), async(req,res)=>{
+    const { note, consumer, operator } = req.body;
+
+    try{
+        const { rows: entries } = await db.query(
+            `SELECT consumer_name FROM dead_letter_events d WHERE ${matchEntries()} ORDER BY consumer_name`,
+            [req.params.eventId, consumer || null]
+        );
+
+        if(entries.length === 0){
+            return sendError(res, 404, "DEAD_LETTER_NOT_FOUND", "Dead-letter event not found");
+        }
+        if(entries.length > 1){
+            return sendAmbiguous(res, "body.consumer", entries.map(entry => entry.consumer_name));
+        }
+
+        const { rowCount } = await db.query(
+            `
+            UPDATE dead_letter_events
+            SET status = 'DISCARDED',
+                replay_requested = false,
+                discarded_at = now(),
+                discarded_by = $3,
+                discard_note = $4
+            WHERE event_id = $1 AND consumer_name = $2 AND status <> 'DISCARDED'
+            `,
+            [req.params.eventId, entries[0].consumer_name, operator || null, note]
+        );
+
+        if(rowCount === 0){
+            return sendError(res, 409, "DEAD_LETTER_DISCARDED", "Dead-letter event is already discarded");
+        }
+
+        res.json({ eventId: req.params.eventId, consumer: entries[0].consumer_name, status: 'DISCARDED' });
+    }catch(err){
+        console.error("Error discarding dead letter:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to discard dead-letter event");
+    }
+})
+
+module.exports = router;
@@ -1,57 +1,278 @@
 const express = require('express');
 const db = require('../../db/connection');
 const { v4: uuidv4 } = require('uuid');
+const idempotencyKeys = require('../idempotency/idempotencyKeys');
+const { sendError } = require('../http/errors');
+const { pageSize, encodeCursor, decodeCursor } = require('../http/pagination');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/orderSchemas');
+const stateMachine = require('../orders/stateMachine');
+const { insertOutboxEvent } = require('../events/outbox');
 
 const router = express.Router();
 
-router.post('/', async(req,res)=>{
+// Replays the stored response for a reused Idempotency-Key, or rejects the
+// request if the key was first used with a different body.
+function respondFromIdempotencyKey(res, stored, requestFingerprint){
+    if(stored.request_fingerprint !== requestFingerprint){
+        return sendError(res, 409, "IDEMPOTENCY_KEY_REUSED", "Idempotency-Key was already used with a different request");
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(stored.response_status).json(stored.response_body);
+}
+
+function toOrderResponse(row){
+    return {
+        orderId: row.id,
+        userId: row.user_id,
+        amount: row.amount,
+        currency: row.currency,
+        state: row.state,
+        version: Number(row.version),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+router.post('/', validate(schemas.createOrder), async(req,res)=>{
     const {userId, amount} = req.body;
+    const currency = req.body.currency || schemas.limits.defaultCurrency;
+    const idempotencyKey = req.get('Idempotency-Key');
+    let requestFingerprint = null;
+
+    if(idempotencyKey !== undefined){
+        requestFingerprint = idempotencyKeys.fingerprint(req.method, req.baseUrl, req.body);
+
+        try{
+            const stored = await idempotencyKeys.findKey(idempotencyKey);
+            if(stored){
+                return respondFromIdempotencyKey(res, stored, requestFingerprint);
+            }
+        }catch(err){
+            console.error("Error looking up idempotency key:", err);
+            return sendError(res, 500, "INTERNAL_ERROR", "Failed to create order");
+        }
+    }
 
     const orderId = uuidv4();
     const eventId = uuidv4();
+    const responseBody = { orderId, state: stateMachine.INITIAL_STATE };
 
     const client = await db.getClient();
     try{
         await client.query('BEGIN');
+
+        // Claim the key first so a concurrent retry blocks on it until we commit
+        if(idempotencyKey !== undefined){
+            const claimed = await idempotencyKeys.claimKey(
+                client, idempotencyKey, requestFingerprint, 201, responseBody
+            );
+            if(!claimed){
+                await client.query("ROLLBACK");
+                const stored = await idempotencyKeys.findKey(idempotencyKey);
+                return respondFromIdempotencyKey(res, stored, requestFingerprint);
+            }
+        }
+
         await client.query(
         `
-        INSERT INTO orders (id, user_id, amount, state)
-        VALUES ($1, $2, $3, $4)
+        INSERT INTO orders (id, user_id, amount, currency, state)
+        VALUES ($1, $2, $3, $4, $5)
         `,
-        [orderId, userId, amount, 'CREATED']
+        [orderId, userId, amount, currency, stateMachine.INITIAL_STATE]
         );
 
-        await client.query(
-            `
-            INSERT INTO outbox(
-            event_id, aggregate_type,
-            aggregate_id,
-            event_type, payload
-            )
-            VALUES ($1, $2, $3, $4, $5)
-            `,
-            [
-                eventId,
-                "order",
-                orderId,
-                "OrderCreated",
-                JSON.stringify({ orderId, userId, amount })
-            ]
-
-            
-        );
+        await insertOutboxEvent(client, {
+            eventId,
+            aggregateType: "order",
+            aggregateId: orderId,
+            eventType: "OrderCreated",
+            payload: { orderId, userId, amount, currency },
+            correlationId: req.correlationId,
+        });
 
         await client.query("COMMIT");
-        res.status(201).json({ orderId, 
-            state: 'CREATED'
-         });
+        res.status(201).json(responseBody);
     }catch(err){
         await client.query("ROLLBACK");
         console.error("Error creating order:", err);
-        res.status(500).json({ error: "Failed to create order" });
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to create order");
     }finally{
         client.release();
     }
 })
 
+router.get('/', validate(schemas.listOrders), async(req,res)=>{
+    const { userId, state, createdFrom, createdTo, cursor } = req.query;
+    const limit = pageSize(req.query.limit);
+
+    const conditions = [];
+    const params = [];
+
+    if(userId){
+        params.push(userId);
+        conditions.push(`user_id = $${params.length}`);
+    }
+    if(state){
+        params.push(state);
+        conditions.push(`state = $${params.length}`);
+    }
+    if(createdFrom){
+        params.push(createdFrom);
+        conditions.push(`created_at >= $${params.length}`);
+    }
+    if(createdTo){
+        params.push(createdTo);
+        conditions.push(`created_at < $${params.length}`);
+    }
+    if(cursor){
+        const decoded = decodeCursor(cursor);
+        if(!decoded){
+            return sendError(res, 400, "VALIDATION_ERROR", "Request validation failed", [
+                { field: "query.cursor", message: "is not a valid cursor" },
+            ]);
+        }
+        // Keyset pagination: newest first, id breaks ties on equal timestamps
+        params.push(decoded.at, decoded.id);
+        conditions.push(`(created_at, id) < ($${params.length - 1}, $${params.length})`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit + 1);
+
+    try{
+        const { rows } = await db.query(
+            `
+            SELECT id, user_id, amount, currency, state, version, created_at, updated_at,
+                   created_at::text AS cursor_at
+            FROM orders
+            ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${params.length}
+            `,
+            params
+        );
+
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = rows.length > limit ? encodeCursor(last.cursor_at, last.id) : null;
+
+        res.json({
+            orders: page.map(toOrderResponse),
+            nextCursor,
+        });
+    }catch(err){
+        console.error("Error listing orders:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to list orders");
+    }
+})
+
+router.get('/:id', validate(schemas.getOrder), async(req,res)=>{
+    try{
+        const { rows } = await db.query(
+            `
+            SELECT id, user_id, amount, currency, state, version, created_at, updated_at
+            FROM orders
+            WHERE id = $1
+            `,
+            [req.params.id]
+        );
+
+        if(rows.length === 0){
+            return sendError(res, 404, "ORDER_NOT_FOUND", "Order not found");
+        }
+
+        res.json(toOrderResponse(rows[0]));
+    }catch(err){
+        console.error("Error fetching order:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch order");
+    }
+})
+
+router.get('/:id/events', validate(schemas.getOrderEvents), async(req,res)=>{
+    try{
+        const order = await db.query('SELECT 1 FROM orders WHERE id = $1', [req.params.id]);
+        if(order.rowCount === 0){
+            return sendError(res, 404, "ORDER_NOT_FOUND", "Order not found");
+        }
+
+        // Published events past the outbox retention period live in outbox_archive
+        const { rows } = await db.query(
+            `
+            SELECT event_id, event_type, payload, published, published_at, created_at, id
+            FROM outbox
+            WHERE aggregate_type = 'order' AND aggregate_id = $1
+            UNION ALL
+            SELECT event_id, event_type, payload, true, published_at, created_at, id
+            FROM outbox_archive
+            WHERE aggregate_type = 'order' AND aggregate_id = $1
+            ORDER BY created_at, id
+            `,
+            [req.params.id]
+        );
+
+        res.json({
+            orderId: req.params.id,
+            events: rows.map(row => ({
+                eventId: row.event_id,
+                eventType: row.event_type,
+                payload: row.payload,
+                published: row.published,
+                publishedAt: row.published_at,
+                createdAt: row.created_at,
+            })),
+        });
+    }catch(err){
+        console.error("Error fetching order events:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch order events");
+    }
+})
+
+router.post('/:id/cancel', validate(schemas.cancelOrder), async(req,res)=>{
+    const orderId = req.params.id;
+    const { reason, expectedVersion } = req.body;
+
+    try{
+        const { rows } = await db.query(
+            'SELECT state, version, amount, currency FROM orders WHERE id = $1',
+            [orderId]
+        );
+        if(rows.length === 0){
+            return sendError(res, 404, "ORDER_NOT_FOUND", "Order not found");
+        }
+
+        // A CREATED order is cancelled outright. A PAID order only moves to
+        // CANCELLATION_REQUESTED; the worker refunds it and finishes the job.
+        const order = rows[0];
+        const target = stateMachine.targetFor(order.state, 'cancel');
+        if(!target){
+            throw new stateMachine.InvalidTransitionError(order.state, stateMachine.STATES.CANCELLED);
+        }
+
+        const { order: updated } = await stateMachine.transition(
+            orderId,
+            order.state,
+            target,
+            expectedVersion !== undefined ? Number(expectedVersion) : order.version,
+            { amount: order.amount, currency: order.currency, reason: reason || null },
+            { correlationId: req.correlationId }
+        );
+
+        res.status(target === stateMachine.STATES.CANCELLED ? 200 : 202).json({
+            orderId,
+            state: updated.state,
+            version: Number(updated.version),
+        });
+    }catch(err){
+        if(err instanceof stateMachine.InvalidTransitionError){
+            return sendError(res, 409, err.code, `Order in state ${err.from} cannot be cancelled`);
+        }
+        if(err instanceof stateMachine.VersionConflictError){
+            return sendError(res, 409, err.code, "Order was modified concurrently, re-read it and retry");
+        }
+        console.error("Error cancelling order:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to cancel order");
+    }
+})
+
 module.exports = router;
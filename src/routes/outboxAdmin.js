@@ -0,0 +1,113 @@
+const express = require('express');
+const db = require('../../db/connection');
+const { sendError } = require('../http/errors');
+const { pageSize, encodeCursor, decodeCursor } = require('../http/pagination');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/outboxSchemas');
+
+const router = express.Router();
+
+function toParkedEventResponse(row){
+    return {
+        eventId: row.event_id,
+        eventType: row.event_type,
+        aggregateType: row.aggregate_type,
+        aggregateId: row.aggregate_id,
+        payload: row.payload,
+        createdAt: row.created_at,
+        parkedAt: row.parked_at,
+        publish: {
+            attempts: row.publish_attempts,
+            lastAttemptAt: row.last_publish_attempt_at,
+            lastError: row.last_publish_error,
+        },
+    };
+}
+
+// Rows the publisher gave up on after OUTBOX_MAX_PUBLISH_ATTEMPTS. Each one
+// also holds back every later event of its aggregate.
+router.get('/parked', validate(schemas.listParkedEvents), async(req,res)=>{
+    const { eventType, cursor } = req.query;
+    const limit = pageSize(req.query.limit);
+
+    const conditions = ['parked_at IS NOT NULL'];
+    const params = [];
+
+    if(eventType){
+        params.push(eventType);
+        conditions.push(`event_type = $${params.length}`);
+    }
+    if(cursor){
+        const decoded = decodeCursor(cursor);
+        if(!decoded){
+            return sendError(res, 400, "VALIDATION_ERROR", "Request validation failed", [
+                { field: "query.cursor", message: "is not a valid cursor" },
+            ]);
+        }
+        params.push(decoded.at, decoded.id);
+        conditions.push(`(parked_at, event_id) < ($${params.length - 1}, $${params.length})`);
+    }
+
+    params.push(limit + 1);
+
+    try{
+        const { rows } = await db.query(
+            `
+            SELECT event_id, event_type, aggregate_type, aggregate_id, payload, created_at,
+                   parked_at, publish_attempts, last_publish_attempt_at, last_publish_error,
+                   parked_at::text AS cursor_at
+            FROM outbox
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY parked_at DESC, event_id DESC
+            LIMIT $${params.length}
+            `,
+            params
+        );
+
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = rows.length > limit ? encodeCursor(last.cursor_at, last.event_id) : null;
+
+        res.json({
+            parkedEvents: page.map(toParkedEventResponse),
+            nextCursor,
+        });
+    }catch(err){
+        console.error("Error listing parked outbox events:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to list parked outbox events");
+    }
+})
+
+// Gives a parked row a fresh set of attempts and wakes the publisher
+router.post('/parked/:eventId/requeue', validate(schemas.requeueParkedEvent), async(req,res)=>{
+    try{
+        const { rows } = await db.query(
+            `
+            UPDATE outbox
+            SET parked_at = NULL,
+                next_publish_attempt_at = NULL,
+                publish_attempts = 0
+            WHERE event_id = $1 AND parked_at IS NOT NULL
+            RETURNING event_id
+            `,
+            [req.params.eventId]
+        );
+
+        if(rows.length === 0){
+            const exists = await db.query('SELECT 1 FROM outbox WHERE event_id = $1', [req.params.eventId]);
+            if(exists.rowCount === 0){
+                return sendError(res, 404, "OUTBOX_EVENT_NOT_FOUND", "Outbox event not found");
+            }
+            return sendError(res, 409, "OUTBOX_EVENT_NOT_PARKED", "Outbox event is not parked");
+        }
+
+        await db.query(`SELECT pg_notify('outbox_inserted', '')`);
+
+        res.status(202).json({ eventId: req.params.eventId, status: 'REQUEUED' });
+    }catch(err){
+        console.error("Error requeueing parked outbox event:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to requeue parked outbox event");
+    }
+})
+
+module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const db = require('../../db/connection');
+const { v4: uuidv4 } = require('uuid');
+const { sendError } = require('../http/errors');
+const { pageSize, encodeCursor, decodeCursor } = require('../http/pagination');
+const { validate } = require('../validation/validate');
+const schemas = require('../validation/webhookSchemas');
+const { generateSecret } = require('../webhooks/webhookSignature');
+const { SUBSCRIPTION_STATUS, DELIVERY_STATUS } = require('../webhooks/webhookDeliveries');
+
+const router = express.Router();
+
+const SUBSCRIPTION_COLUMNS = `id, url, event_types, description, status, consecutive_failures,
+    disabled_at, disabled_reason, created_at, updated_at`;
+
+const DELIVERY_COLUMNS = `id, subscription_id, event_id, event_type, aggregate_id, status, round, attempts,
+    next_attempt_at, last_attempt_at, last_status_code, last_error, delivered_at, created_at`;
+
+// The secret is only returned when it is created
+function toSubscriptionResponse(row){
+    return {
+        id: row.id,
+        url: row.url,
+        eventTypes: row.event_types,
+        description: row.description,
+        status: row.status,
+        consecutiveFailures: row.consecutive_failures,
+        disabled: row.disabled_at ? {
+            disabledAt: row.disabled_at,
+            reason: row.disabled_reason,
+        } : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toDeliveryResponse(row){
+    return {
+        id: row.id,
+        subscriptionId: row.subscription_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        orderId: row.aggregate_id,
+        status: row.status,
+        // Redelivery round, and the attempts made in it
+        round: row.round,
+        attempts: row.attempts,
+        // Only meaningful while PENDING
+        nextAttemptAt: row.status === DELIVERY_STATUS.PENDING ? row.next_attempt_at : null,
+        lastAttemptAt: row.last_attempt_at,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        deliveredAt: row.delivered_at,
+        createdAt: row.created_at,
+    };
+}
+
+function toAttemptResponse(row){
+    return {
+        round: row.round,
+        attempt: row.attempt,
+        attemptedAt: row.attempted_at,
+        statusCode: row.status_code,
+        error: row.error,
+        responseBody: row.response_body,
+        durationMs: row.duration_ms,
+        // Came back after the delivery was claimed again or redelivered, so it
+        // didn't count
+        superseded: row.superseded,
+    };
+}
+
+function invalidCursor(res){
+    return sendError(res, 400, "VALIDATION_ERROR", "Request validation failed", [
+        { field: "query.cursor", message: "is not a valid cursor" },
+    ]);
+}
+
+router.post('/subscriptions', validate(schemas.createSubscription), async(req,res)=>{
+    const { url, eventTypes, description } = req.body;
+    const secret = req.body.secret || generateSecret();
+
+    try{
+        const { rows } = await db.query(
+            `
+            INSERT INTO webhook_subscriptions (id, url, event_types, secret, description)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING ${SUBSCRIPTION_COLUMNS}
+            `,
+            [uuidv4(), url, [...new Set(eventTypes)], secret, description || null]
+        );
+
+        res.status(201).json({ ...toSubscriptionResponse(rows[0]), secret });
+    }catch(err){
+        console.error("Error creating webhook subscription:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to create webhook subscription");
+    }
+})
+
+router.get('/subscriptions', validate(schemas.listSubscriptions), async(req,res)=>{
+    const { status, cursor } = req.query;
+    const limit = pageSize(req.query.limit);
+
+    const conditions = [];
+    const params = [];
+
+    if(status){
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if(cursor){
+        const decoded = decodeCursor(cursor);
+        if(!decoded){
+            return invalidCursor(res);
+        }
+        params.push(decoded.at, decoded.id);
+        conditions.push(`(created_at, id) < ($${params.length - 1}, $${params.length})`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit + 1);
+
+    try{
+        const { rows } = await db.query(
+            `
+            SELECT ${SUBSCRIPTION_COLUMNS}, created_at::text AS cursor_at
+            FROM webhook_subscriptions
+            ${where}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${params.length}
+            `,
+            params
+        );
+
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = rows.length > limit ? encodeCursor(last.cursor_at, last.id) : null;
+
+        res.json({
+            subscriptions: page.map(toSubscriptionResponse),
+            nextCursor,
+        });
+    }catch(err){
+        console.error("Error listing webhook subscriptions:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to list webhook subscriptions");
+    }
+})
+
+router.get('/subscriptions/:id', validate(schemas.getSubscription), async(req,res)=>{
+    try{
+        const { rows } = await db.query(
+            `SELECT ${SUBSCRIPTION_COLUMNS} FROM webhook_subscriptions WHERE id = $1`,
+            [req.params.id]
+        );
+
+        if(rows.length === 0){
+            return sendError(res, 404, "WEBHOOK_SUBSCRIPTION_NOT_FOUND", "Webhook subscription not found");
+        }
+
+        res.json(toSubscriptionResponse(rows[0]));
+    }catch(err){
+        console.error("Error fetching webhook subscription:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch webhook subscription");
+    }
+})
+
+// Re-enabling clears the failure count and makes the deliveries that waited
+// while it was disabled due right away
+router.patch('/subscriptions/:id', validate(schemas.updateSubscription), async(req,res)=>{
+    const { url, eventTypes, secret, description, status } = req.body;
+
+    const assignments = [];
+    const params = [req.params.id];
+    function set(column, value){
+        params.push(value);
+        assignments.push(`${column} = $${params.length}`);
+    }
+
+    if(url !== undefined){
+        set('url', url);
+    }
+    if(eventTypes !== undefined){
+        set('event_types', [...new Set(eventTypes)]);
+    }
+    if(secret !== undefined){
+        set('secret', secret);
+    }
+    if(description !== undefined){
+        set('description', description);
+    }
+    if(status === SUBSCRIPTION_STATUS.ACTIVE){
+        assignments.push(`consecutive_failures = 0, disabled_at = NULL, disabled_reason = NULL`);
+    }
+    if(status === SUBSCRIPTION_STATUS.DISABLED){
+        assignments.push(`disabled_at = coalesce(disabled_at, now()), disabled_reason = coalesce(disabled_reason, 'Disabled by an operator')`);
+    }
+    if(status !== undefined){
+        set('status', status);
+    }
+
+    if(assignments.length === 0){
+        return sendError(res, 400, "VALIDATION_ERROR", "Request validation failed", [
+            { field: "body", message: "must change at least one field" },
+        ]);
+    }
+
+    const client = await db.getClient();
+    try{
+        await client.query('BEGIN');
+        const { rows } = await client.query(
+            `
+            UPDATE webhook_subscriptions
+            SET ${assignments.join(', ')}, updated_at = now()
+            WHERE id = $1
+            RETURNING ${SUBSCRIPTION_COLUMNS}
+            `,
+            params
+        );
+
+        if(rows.length === 0){
+            await client.query("ROLLBACK");
+            return sendError(res, 404, "WEBHOOK_SUBSCRIPTION_NOT_FOUND", "Webhook subscription not found");
+        }
+        if(status === SUBSCRIPTION_STATUS.ACTIVE){
+            await client.query(
+                `UPDATE webhook_deliveries SET next_attempt_at = now() WHERE subscription_id = $1 AND status = $2`,
+                [req.params.id, DELIVERY_STATUS.PENDING]
+            );
+        }
+        await client.query("COMMIT");
+
+        res.json(toSubscriptionResponse(rows[0]));
+    }catch(err){
+        await client.query("ROLLBACK");
+        console.error("Error updating webhook subscription:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to update webhook subscription");
+    }finally{
+        client.release();
+    }
+})
+
+// Deletes the subscription with its deliveries and their attempt log
+router.delete('/subscriptions/:id', validate(schemas.deleteSubscription), async(req,res)=>{
+    try{
+        const result = await db.query('DELETE FROM webhook_subscriptions WHERE id = $1', [req.params.id]);
+
+        if(result.rowCount === 0){
+            return sendError(res, 404, "WEBHOOK_SUBSCRIPTION_NOT_FOUND", "Webhook subscription not found");
+        }
+
+        res.status(204).end();
+    }catch(err){
+        console.error("Error deleting webhook subscription:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to delete webhook subscription");
+    }
+})
+
+// Delivery log of one subscription, newest first
+router.get('/subscriptions/:id/deliveries', validate(schemas.listDeliveries), async(req,res)=>{
+    const { status, eventType, cursor } = req.query;
+    const limit = pageSize(req.query.limit);
+
+    const conditions = ['subscription_id = $1'];
+    const params = [req.params.id];
+
+    if(status){
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    if(eventType){
+        params.push(eventType);
+        conditions.push(`event_type = $${params.length}`);
+    }
+    if(cursor){
+        const decoded = decodeCursor(cursor);
+        if(!decoded){
+            return invalidCursor(res);
+        }
+        params.push(decoded.at, decoded.id);
+        conditions.push(`(created_at, id) < ($${params.length - 1}, $${params.length})`);
+    }
+
+    params.push(limit + 1);
+
+    try{
+        const exists = await db.query('SELECT 1 FROM webhook_subscriptions WHERE id = $1', [req.params.id]);
+        if(exists.rowCount === 0){
+            return sendError(res, 404, "WEBHOOK_SUBSCRIPTION_NOT_FOUND", "Webhook subscription not found");
+        }
+
+        const { rows } = await db.query(
+            `
+            SELECT ${DELIVERY_COLUMNS}, created_at::text AS cursor_at
+            FROM webhook_deliveries
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC, id DESC
+            LIMIT $${params.length}
+            `,
+            params
+        );
+
+        const page = rows.slice(0, limit);
+        const last = page[page.length - 1];
+        const nextCursor = rows.length > limit ? encodeCursor(last.cursor_at, last.id) : null;
+
+        res.json({
+            deliveries: page.map(toDeliveryResponse),
+            nextCursor,
+        });
+    }catch(err){
+        console.error("Error listing webhook deliveries:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to list webhook deliveries");
+    }
+})
+
+// One delivery with the body it sends and every attempt made
+router.get('/deliveries/:deliveryId', validate(schemas.getDelivery), async(req,res)=>{
+    try{
+        const { rows } = await db.query(
+            `SELECT ${DELIVERY_COLUMNS}, body FROM webhook_deliveries WHERE id = $1`,
+            [req.params.deliveryId]
+        );
+
+        if(rows.length === 0){
+            return sendError(res, 404, "WEBHOOK_DELIVERY_NOT_FOUND", "Webhook delivery not found");
+        }
+
+        const attempts = await db.query(
+            `SELECT round, attempt, attempted_at, status_code, error, response_body, duration_ms, superseded
+             FROM webhook_delivery_attempts
+             WHERE delivery_id = $1
+             ORDER BY id`,
+            [req.params.deliveryId]
+        );
+
+        res.json({
+            ...toDeliveryResponse(rows[0]),
+            body: rows[0].body,
+            attemptLog: attempts.rows.map(toAttemptResponse),
+        });
+    }catch(err){
+        console.error("Error fetching webhook delivery:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to fetch webhook delivery");
+    }
+})
+
+// Sends a finished delivery again in a new round with a fresh set of attempts;
+// the log keeps the earlier rounds. The body and its event id are unchanged,
+// so a receiver that already has it can tell.
+router.post('/deliveries/:deliveryId/redeliver', validate(schemas.redeliver), async(req,res)=>{
+    try{
+        const { rows } = await db.query(
+            `
+            UPDATE webhook_deliveries
+            SET status = $2, round = round + 1, attempts = 0, next_attempt_at = now(), delivered_at = NULL
+            WHERE id = $1 AND status <> $2
+            RETURNING round
+            `,
+            [req.params.deliveryId, DELIVERY_STATUS.PENDING]
+        );
+
+        if(rows.length === 0){
+            const exists = await db.query('SELECT 1 FROM webhook_deliveries WHERE id = $1', [req.params.deliveryId]);
+            if(exists.rowCount === 0){
+                return sendError(res, 404, "WEBHOOK_DELIVERY_NOT_FOUND", "Webhook delivery not found");
+            }
+            return sendError(res, 409, "WEBHOOK_DELIVERY_PENDING", "Webhook delivery is already pending");
+        }
+
+        res.status(202).json({ id: req.params.deliveryId, status: DELIVERY_STATUS.PENDING, round: rows[0].round });
+    }catch(err){
+        console.error("Error redelivering webhook:", err);
+        sendError(res, 500, "INTERNAL_ERROR", "Failed to redeliver webhook");
+    }
+})
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const DEAD_LETTER_STATUSES = ["PENDING", "REPLAYED", "DISCARDED"];
+
+// Upper bound for one bulk replay request
+const MAX_BULK_REPLAY = 100;
+
+const eventIdParams = {
+  eventId: { type: "uuid", required: true },
+};
+
+// Picks the entry when more than one consumer dead-lettered the event
+const consumer = { type: "string", maxLength: 100 };
+
+const listDeadLetters = {
+  query: {
+    eventType: { type: "string" },
+    reason: { type: "string" },
+    status: { type: "string", enum: DEAD_LETTER_STATUSES },
+    consumer,
+    failedFrom: { type: "datetime" },
+    failedTo: { type: "datetime" },
+    limit: { type: "integer", min: 1 },
+    cursor: { type: "string" },
+  },
+};
+
+const getDeadLetter = {
+  params: eventIdParams,
+  query: {
+    consumer,
+  },
+};
+
+const replayDeadLetter = {
+  params: eventIdParams,
+  body: {
+    consumer,
+    operator: { type: "string", maxLength: 100 },
+  },
+};
+
+const replayDeadLetters = {
+  body: {
+    eventIds: { type: "uuidArray", required: true, maxItems: MAX_BULK_REPLAY },
+    consumer,
+    operator: { type: "string", maxLength: 100 },
+  },
+};
+
+const discardDeadLetter = {
+  params: eventIdParams,
+  body: {
+    note: { type: "string", required: true, maxLength: 1000 },
+    consumer,
+    operator: { type: "string", maxLength: 100 },
+  },
+};
+
+module.exports = {
+  DEAD_LETTER_STATUSES,
+  listDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  replayDeadLetters,
+  discardDeadLetter,
+};
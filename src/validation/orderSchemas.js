@@ -0,0 +1,66 @@
+const { STATES } = require("../orders/stateMachine");
+
+const ORDER_STATES = Object.values(STATES);
+
+const limits = {
+  maxAmount: Number(process.env.ORDER_MAX_AMOUNT) || 10000,
+  allowedCurrencies: (process.env.ORDER_ALLOWED_CURRENCIES || "USD")
+    .split(",")
+    .map(c => c.trim().toUpperCase())
+    .filter(Boolean),
+};
+
+// The first allowed currency is used when a request doesn't specify one
+limits.defaultCurrency = limits.allowedCurrencies[0];
+
+const orderIdParams = {
+  id: { type: "uuid", required: true },
+};
+
+const createOrder = {
+  headers: {
+    "Idempotency-Key": { type: "string", minLength: 1, maxLength: 255 },
+  },
+  body: {
+    userId: { type: "uuid", required: true },
+    amount: { type: "amount", required: true, max: () => limits.maxAmount },
+    currency: { type: "string", allowed: () => limits.allowedCurrencies },
+  },
+};
+
+const listOrders = {
+  query: {
+    userId: { type: "uuid" },
+    state: { type: "string", enum: ORDER_STATES },
+    createdFrom: { type: "datetime" },
+    createdTo: { type: "datetime" },
+    limit: { type: "integer", min: 1 },
+    cursor: { type: "string" },
+  },
+};
+
+const getOrder = {
+  params: orderIdParams,
+};
+
+const getOrderEvents = {
+  params: orderIdParams,
+};
+
+const cancelOrder = {
+  params: orderIdParams,
+  body: {
+    reason: { type: "string", maxLength: 500 },
+    expectedVersion: { type: "integer" },
+  },
+};
+
+module.exports = {
+  ORDER_STATES,
+  limits,
+  createOrder,
+  listOrders,
+  getOrder,
+  getOrderEvents,
+  cancelOrder,
+};
@@ -0,0 +1,20 @@
+const eventIdParams = {
+  eventId: { type: "uuid", required: true },
+};
+
+const listParkedEvents = {
+  query: {
+    eventType: { type: "string" },
+    limit: { type: "integer", min: 1 },
+    cursor: { type: "string" },
+  },
+};
+
+const requeueParkedEvent = {
+  params: eventIdParams,
+};
+
+module.exports = {
+  listParkedEvents,
+  requeueParkedEvent,
+};
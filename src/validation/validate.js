@@ -0,0 +1,164 @@
+const { sendError } = require("../http/errors");
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+// A date, optionally with a time and a UTC offset: 2024-05-01, 2024-05-01T10:00Z,
+// 2024-05-01T10:00:00.123456+02:00
+const DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(T\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Structural checks: a failure here means the request is malformed (400).
+const TYPE_CHECKS = {
+  uuid: (value) => typeof value === "string" && UUID_PATTERN.test(value) ? null : "must be a UUID",
+  string: (value) => typeof value === "string" ? null : "must be a string",
+  amount: (value) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return "must be a number";
+    }
+    if (value <= 0) {
+      return "must be greater than 0";
+    }
+    if (!AMOUNT_PATTERN.test(String(value))) {
+      return "must have at most 2 decimal places";
+    }
+    return null;
+  },
+  uuidArray: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      return "must be a non-empty array of UUIDs";
+    }
+    return value.every(v => typeof v === "string" && UUID_PATTERN.test(v)) ? null : "must contain only UUIDs";
+  },
+  stringArray: (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+      return "must be a non-empty array of strings";
+    }
+    return value.every(v => typeof v === "string") ? null : "must contain only strings";
+  },
+  url: (value) => {
+    if (typeof value !== "string" || !URL.canParse(value)) {
+      return "must be a URL";
+    }
+    return ["http:", "https:"].includes(new URL(value).protocol) ? null : "must be an http or https URL";
+  },
+  integer: (value) => /^\d+$/.test(String(value)) ? null : "must be a non-negative integer",
+  datetime: (value) => {
+    const match = typeof value === "string" && DATETIME_PATTERN.exec(value);
+    if (!match || Number.isNaN(Date.parse(value))) {
+      return "must be an ISO 8601 timestamp";
+    }
+    // Date.parse rolls days past the end of the month over (2024-02-30)
+    const [year, month, day] = match.slice(1, 4).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? null : "must be an ISO 8601 timestamp";
+  },
+};
+
+function resolve(limit) {
+  return typeof limit === "function" ? limit() : limit;
+}
+
+// Checks one field against its rule. Returns { field, message, status } or null.
+// Type, enum and length problems are 400s; configurable business limits
+// (rule.max, rule.allowed) are 422s because the request is well-formed.
+function checkField(location, field, rule, value) {
+  const name = `${location}.${field}`;
+
+  // An empty value counts as absent, unless the rule sets a minimum length
+  if (value === undefined || value === null || (value === "" && rule.minLength === undefined)) {
+    return rule.required ? { field: name, message: "is required", status: 400 } : null;
+  }
+
+  const typeError = TYPE_CHECKS[rule.type](value);
+  if (typeError) {
+    return { field: name, message: typeError, status: 400 };
+  }
+  // For arrays the enum applies to each item
+  if (rule.enum && ![].concat(value).every(v => rule.enum.includes(v))) {
+    return { field: name, message: `must be one of ${rule.enum.join(", ")}`, status: 400 };
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { field: name, message: `must be at least ${rule.minLength} character${rule.minLength === 1 ? "" : "s"}`, status: 400 };
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { field: name, message: `must be at most ${rule.maxLength} characters`, status: 400 };
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return { field: name, message: `must have at most ${rule.maxItems} items`, status: 400 };
+  }
+  if (rule.min !== undefined && Number(value) < rule.min) {
+    return { field: name, message: `must be at least ${rule.min}`, status: 400 };
+  }
+
+  const max = resolve(rule.max);
+  if (max !== undefined && Number(value) > max) {
+    return { field: name, message: `must not exceed ${max}`, status: 422 };
+  }
+  const allowed = resolve(rule.allowed);
+  if (allowed !== undefined && !allowed.includes(value)) {
+    return { field: name, message: `must be one of ${allowed.join(", ")}`, status: 422 };
+  }
+
+  return null;
+}
+
+function readLocation(req, location, field) {
+  if (location === "headers") {
+    return req.get(field);
+  }
+  return (req[location] || {})[field];
+}
+
+// Builds middleware that checks req.params, req.query, req.body and headers
+// against a schema of the form { body: { field: rule }, query: {...}, ... }.
+// Unknown body fields are rejected so typos don't silently fall through.
+function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+
+    for (const location of ["params", "headers", "query", "body"]) {
+      const rules = schema[location];
+      if (!rules) {
+        continue;
+      }
+
+      if (location === "body") {
+        // A request without a body is checked as {} so required fields are reported by name
+        if (req.body === undefined) {
+          req.body = {};
+        }
+        if (req.body === null || typeof req.body !== "object" || Array.isArray(req.body)) {
+          return sendError(res, 400, "VALIDATION_ERROR", "Request body must be a JSON object", [
+            { field: "body", message: "must be a JSON object" },
+          ]);
+        }
+        for (const field of Object.keys(req.body)) {
+          if (!rules[field]) {
+            details.push({ field: `body.${field}`, message: "is not allowed", status: 400 });
+          }
+        }
+      }
+
+      for (const [field, rule] of Object.entries(rules)) {
+        const problem = checkField(location, field, rule, readLocation(req, location, field));
+        if (problem) {
+          details.push(problem);
+        }
+      }
+    }
+
+    if (details.length === 0) {
+      return next();
+    }
+
+    const malformed = details.some(d => d.status === 400);
+    return sendError(
+      res,
+      malformed ? 400 : 422,
+      malformed ? "VALIDATION_ERROR" : "LIMIT_EXCEEDED",
+      malformed ? "Request validation failed" : "Request exceeds configured limits",
+      details.map(({ field, message }) => ({ field, message }))
+    );
+  };
+}
+
+module.exports = { validate };
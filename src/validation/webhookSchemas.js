@@ -0,0 +1,81 @@
+const { WEBHOOK_EVENT_TYPES, SUBSCRIPTION_STATUS, DELIVERY_STATUS } = require("../webhooks/webhookDeliveries");
+
+const SUBSCRIPTION_STATUSES = Object.values(SUBSCRIPTION_STATUS);
+const DELIVERY_STATUSES = Object.values(DELIVERY_STATUS);
+
+const subscriptionIdParams = {
+  id: { type: "uuid", required: true },
+};
+
+const deliveryIdParams = {
+  deliveryId: { type: "uuid", required: true },
+};
+
+// Secrets are optional on create (one is generated), but must not be guessable
+const secret = { type: "string", minLength: 16, maxLength: 255 };
+
+const createSubscription = {
+  body: {
+    url: { type: "url", required: true, maxLength: 2048 },
+    eventTypes: { type: "stringArray", required: true, enum: WEBHOOK_EVENT_TYPES },
+    secret,
+    description: { type: "string", maxLength: 500 },
+  },
+};
+
+const listSubscriptions = {
+  query: {
+    status: { type: "string", enum: SUBSCRIPTION_STATUSES },
+    limit: { type: "integer", min: 1 },
+    cursor: { type: "string" },
+  },
+};
+
+const getSubscription = {
+  params: subscriptionIdParams,
+};
+
+// Setting status to ACTIVE re-enables a disabled subscription
+const updateSubscription = {
+  params: subscriptionIdParams,
+  body: {
+    url: { type: "url", maxLength: 2048 },
+    eventTypes: { type: "stringArray", enum: WEBHOOK_EVENT_TYPES },
+    secret,
+    description: { type: "string", maxLength: 500 },
+    status: { type: "string", enum: SUBSCRIPTION_STATUSES },
+  },
+};
+
+const deleteSubscription = {
+  params: subscriptionIdParams,
+};
+
+const listDeliveries = {
+  params: subscriptionIdParams,
+  query: {
+    status: { type: "string", enum: DELIVERY_STATUSES },
+    eventType: { type: "string" },
+    limit: { type: "integer", min: 1 },
+    cursor: { type: "string" },
+  },
+};
+
+const getDelivery = {
+  params: deliveryIdParams,
+};
+
+const redeliver = {
+  params: deliveryIdParams,
+};
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  redeliver,
+};
@@ -0,0 +1,336 @@
+const { v4: uuidv4 } = require("uuid");
+const db = require("../../db/connection");
+const { signatureHeaders } = require("./webhookSignature");
+
+// Outbound webhooks work like the outbox: the dispatcher consumer writes one
+// webhook_deliveries row per matching subscription in the same transaction as
+// its processed_events marker, and a delivery loop sends the rows over HTTP.
+// A crash between the two loses nothing, and an event Kafka redelivers is
+// neither queued nor sent twice.
+//
+// Delivery is at least once: a receiver that answered but whose answer we
+// didn't record (timeout, crash) gets the event again. The body's `id` is the
+// event id and stays the same across attempts, so receivers deduplicate on it.
+//
+// A failed attempt is retried with exponential backoff up to
+// WEBHOOK_MAX_ATTEMPTS; then the delivery is FAILED. After
+// WEBHOOK_DISABLE_AFTER_FAILED_DELIVERIES failed deliveries in a row (no
+// success in between) the subscription is disabled. Its pending deliveries
+// wait until it is enabled again, and new events aren't queued for it.
+//
+// An operator can redeliver a finished delivery. That starts a new round with
+// a fresh set of attempts; the attempt log numbers attempts within a round.
+//
+// Each claim stamps the delivery with a new claim id. A result that comes back
+// after the delivery was claimed again (its lease ran out) or redelivered is
+// logged as superseded and changes nothing else.
+
+// Order events a subscription can ask for
+const WEBHOOK_EVENT_TYPES = ["OrderPaid", "OrderFailed"];
+
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: "ACTIVE",
+  DISABLED: "DISABLED",
+};
+
+const DELIVERY_STATUS = {
+  PENDING: "PENDING",
+  SUCCEEDED: "SUCCEEDED",
+  // Out of attempts
+  FAILED: "FAILED",
+};
+
+// What recordAttempt() did with a delivery
+const ATTEMPT_OUTCOME = {
+  SUCCEEDED: "SUCCEEDED",
+  RETRY_SCHEDULED: "RETRY_SCHEDULED",
+  FAILED: "FAILED",
+  // The subscription was deleted while the request was in flight
+  GONE: "GONE",
+  // Claimed again or redelivered while the request was in flight; only logged
+  SUPERSEDED: "SUPERSEDED",
+};
+
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_DELAY_MS = Number(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30000;
+const RETRY_MAX_DELAY_MS = Number(process.env.WEBHOOK_RETRY_MAX_DELAY_MS) || 60 * 60 * 1000;
+const DISABLE_AFTER_FAILED_DELIVERIES = Number(process.env.WEBHOOK_DISABLE_AFTER_FAILED_DELIVERIES) || 5;
+// A claimed delivery is claimable again after this, in case its worker died mid-request
+const CLAIM_LEASE_MS = TIMEOUT_MS + 30000;
+// Longest response body kept in the attempt log
+const MAX_LOGGED_RESPONSE_LENGTH = 1000;
+
+/**
+ * Queues `event` for every active subscription to its type, inside the
+ * caller's transaction (the dispatcher's processOnce). The body carries the
+ * order's user, amount and currency, which never change, next to the event
+ * payload. Returns the number of deliveries queued.
+ */
+async function enqueueDeliveries(client, event) {
+  const { rows: subscriptions } = await client.query(
+    `SELECT id FROM webhook_subscriptions WHERE status = $1 AND $2 = ANY(event_types)`,
+    [SUBSCRIPTION_STATUS.ACTIVE, event.eventType]
+  );
+  if (subscriptions.length === 0) {
+    return 0;
+  }
+
+  const { rows: [order] } = await client.query(
+    `SELECT user_id, amount, currency FROM orders WHERE id = $1`,
+    [event.aggregateId]
+  );
+  const body = {
+    id: event.eventId,
+    type: event.eventType,
+    createdAt: event.createdAt,
+    data: {
+      ...(order ? { userId: order.user_id, amount: order.amount, currency: order.currency } : {}),
+      ...event.payload,
+    },
+  };
+
+  const result = await client.query(
+    `
+    INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, aggregate_id, body)
+    SELECT delivery.id, delivery.subscription_id, $3, $4, $5, $6
+    FROM unnest($1::uuid[], $2::uuid[]) AS delivery(id, subscription_id)
+    ON CONFLICT (subscription_id, event_id) DO NOTHING
+    `,
+    [
+      subscriptions.map(() => uuidv4()),
+      subscriptions.map(subscription => subscription.id),
+      event.eventId,
+      event.eventType,
+      event.aggregateId,
+      JSON.stringify(body),
+    ]
+  );
+  return result.rowCount;
+}
+
+// Claims up to `limit` due deliveries of active subscriptions by pushing
+// their next_attempt_at past the lease, so other workers skip them while
+// they are sent. recordAttempt() sets the real value afterwards.
+async function claimDueDeliveries(limit) {
+  const { rows } = await db.query(
+    `
+    UPDATE webhook_deliveries d
+    SET next_attempt_at = now() + $3 * interval '1 millisecond', claim_id = $5
+    FROM webhook_subscriptions s
+    WHERE s.id = d.subscription_id
+      AND d.id IN (
+        SELECT due.id
+        FROM webhook_deliveries due
+        JOIN webhook_subscriptions sub ON sub.id = due.subscription_id
+        WHERE due.status = $1 AND due.next_attempt_at <= now() AND sub.status = $2
+        ORDER BY due.next_attempt_at
+        LIMIT $4
+        FOR UPDATE OF due SKIP LOCKED
+      )
+    RETURNING d.id, d.subscription_id, d.event_id, d.event_type, d.body, d.round, d.attempts, d.claim_id, s.url, s.secret
+    `,
+    [DELIVERY_STATUS.PENDING, SUBSCRIPTION_STATUS.ACTIVE, CLAIM_LEASE_MS, limit, uuidv4()]
+  );
+  return rows;
+}
+
+// Any 2xx is success. Redirects are not followed: the subscription's URL is
+// the one the secret was shared with.
+async function send(delivery) {
+  const body = JSON.stringify(delivery.body);
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "order-webhooks/1.0",
+        "Webhook-Id": delivery.id,
+        "Webhook-Event-Id": delivery.event_id,
+        "Webhook-Event-Type": delivery.event_type,
+        ...signatureHeaders(delivery.secret, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    const error = err.name === "TimeoutError" ? `Timed out after ${TIMEOUT_MS}ms` : `Request failed: ${err.cause ? err.cause.message : err.message}`;
+    return { ok: false, statusCode: null, error, responseBody: null, durationMs: Date.now() - startedAt };
+  }
+
+  const responseBody = (await response.text().catch(() => "")).slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+  const ok = response.status >= 200 && response.status < 300;
+  return {
+    ok,
+    statusCode: response.status,
+    error: ok ? null : `Endpoint returned ${response.status}`,
+    responseBody,
+    durationMs: Date.now() - startedAt,
+  };
+}
+
+// Counts a failed delivery against its subscription and disables it at the
+// threshold. Returns true if this call disabled it.
+async function recordFailedDelivery(client, subscriptionId, error) {
+  const { rows: [subscription] } = await client.query(
+    `UPDATE webhook_subscriptions SET consecutive_failures = consecutive_failures + 1
+     WHERE id = $1
+     RETURNING consecutive_failures, status`,
+    [subscriptionId]
+  );
+  if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE || subscription.consecutive_failures < DISABLE_AFTER_FAILED_DELIVERIES) {
+    return false;
+  }
+
+  await client.query(
+    `UPDATE webhook_subscriptions
+     SET status = $2, disabled_at = now(), disabled_reason = $3, updated_at = now()
+     WHERE id = $1`,
+    [
+      subscriptionId,
+      SUBSCRIPTION_STATUS.DISABLED,
+      `${subscription.consecutive_failures} deliveries failed in a row, the last with: ${error}`,
+    ]
+  );
+  return true;
+}
+
+/**
+ * Logs an attempt made by send() and moves the delivery on: SUCCEEDED, a
+ * retry after an exponential backoff, or FAILED once it is out of attempts.
+ *
+ * Returns `{ outcome, round, attempt, nextAttemptAt, subscriptionDisabled }`.
+ */
+async function recordAttempt(delivery, result) {
+  const client = await db.getClient();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT round, attempts, claim_id FROM webhook_deliveries WHERE id = $1 FOR UPDATE`,
+      [delivery.id]
+    );
+    if (rows.length === 0) {
+      await client.query("ROLLBACK");
+      return { outcome: ATTEMPT_OUTCOME.GONE, round: null, attempt: null, nextAttemptAt: null, subscriptionDisabled: false };
+    }
+
+    // Logged under the round and attempt it was sent as
+    if (rows[0].round !== delivery.round || rows[0].claim_id !== delivery.claim_id) {
+      await client.query(
+        `INSERT INTO webhook_delivery_attempts (delivery_id, round, attempt, status_code, error, response_body, duration_ms, superseded)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, true)`,
+        [delivery.id, delivery.round, delivery.attempts + 1, result.statusCode, result.error, result.responseBody, result.durationMs]
+      );
+      await client.query("COMMIT");
+      return {
+        outcome: ATTEMPT_OUTCOME.SUPERSEDED,
+        round: delivery.round,
+        attempt: delivery.attempts + 1,
+        nextAttemptAt: null,
+        subscriptionDisabled: false,
+      };
+    }
+
+    const { round } = rows[0];
+    const attempt = rows[0].attempts + 1;
+
+    await client.query(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, round, attempt, status_code, error, response_body, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [delivery.id, round, attempt, result.statusCode, result.error, result.responseBody, result.durationMs]
+    );
+
+    let outcome;
+    let nextAttemptAt = null;
+    let subscriptionDisabled = false;
+
+    if (result.ok) {
+      outcome = ATTEMPT_OUTCOME.SUCCEEDED;
+      await client.query(
+        `UPDATE webhook_deliveries
+         SET status = $2, attempts = $3, last_attempt_at = now(), last_status_code = $4, last_error = NULL, delivered_at = now()
+         WHERE id = $1`,
+        [delivery.id, DELIVERY_STATUS.SUCCEEDED, attempt, result.statusCode]
+      );
+      await client.query(
+        `UPDATE webhook_subscriptions SET consecutive_failures = 0 WHERE id = $1 AND consecutive_failures > 0`,
+        [delivery.subscription_id]
+      );
+    } else if (attempt >= MAX_ATTEMPTS) {
+      outcome = ATTEMPT_OUTCOME.FAILED;
+      await client.query(
+        `UPDATE webhook_deliveries
+         SET status = $2, attempts = $3, last_attempt_at = now(), last_status_code = $4, last_error = $5
+         WHERE id = $1`,
+        [delivery.id, DELIVERY_STATUS.FAILED, attempt, result.statusCode, result.error]
+      );
+      subscriptionDisabled = await recordFailedDelivery(client, delivery.subscription_id, result.error);
+    } else {
+      outcome = ATTEMPT_OUTCOME.RETRY_SCHEDULED;
+      const { rows: [updated] } = await client.query(
+        `UPDATE webhook_deliveries
+         SET attempts = $2, last_attempt_at = now(), last_status_code = $3, last_error = $4,
+             next_attempt_at = now() + LEAST($5 * power(2, $2 - 1), $6) * interval '1 millisecond'
+         WHERE id = $1
+         RETURNING next_attempt_at`,
+        [delivery.id, attempt, result.statusCode, result.error, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS]
+      );
+      nextAttemptAt = updated.next_attempt_at;
+    }
+
+    await client.query("COMMIT");
+    return { outcome, round, attempt, nextAttemptAt, subscriptionDisabled };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Claims up to `limit` due deliveries, sends them concurrently and records
+ * each attempt. Returns one entry per recorded attempt:
+ * `{ delivery, result, recorded }` with send()'s result and recordAttempt()'s.
+ *
+ * A delivery whose attempt couldn't be recorded is logged and left out; it is
+ * claimable again once its lease runs out.
+ */
+async function deliverDue({ limit }) {
+  const deliveries = await claimDueDeliveries(limit);
+  const settled = await Promise.allSettled(deliveries.map(async delivery => {
+    const result = await send(delivery);
+    const recorded = await recordAttempt(delivery, result);
+    return { delivery, result, recorded };
+  }));
+
+  const delivered = [];
+  settled.forEach((outcome, index) => {
+    if (outcome.status === "fulfilled") {
+      delivered.push(outcome.value);
+      return;
+    }
+    console.error({
+      service: "webhook-worker",
+      type: "WEBHOOK_DELIVERY_ERROR",
+      deliveryId: deliveries[index].id,
+      subscriptionId: deliveries[index].subscription_id,
+      eventId: deliveries[index].event_id,
+      error: outcome.reason.message,
+    });
+  });
+  return delivered;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  SUBSCRIPTION_STATUS,
+  DELIVERY_STATUS,
+  ATTEMPT_OUTCOME,
+  enqueueDeliveries,
+  deliverDue,
+};
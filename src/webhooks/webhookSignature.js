@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+
+// Webhook requests are signed with the subscription's secret:
+//
+//   Webhook-Timestamp: 1718000000
+//   Webhook-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//
+// Receivers recompute the HMAC over the raw body they got, compare it in
+// constant time and reject timestamps too far from their clock, so a captured
+// request can't be replayed later. The "v1=" prefix leaves room for another
+// scheme, or for two signatures while a secret is rotated.
+
+const SIGNATURE_VERSION = "v1";
+// Default tolerance for verifySignature()
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+// Headers for one request; `timestamp` is in seconds
+function signatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    "Webhook-Timestamp": String(timestamp),
+    "Webhook-Signature": sign(secret, timestamp, body),
+  };
+}
+
+/**
+ * What a receiver does with a request: true if `signatureHeader` holds a
+ * valid signature of `body` (the raw string) made at `timestamp`, within
+ * `toleranceSeconds` of now.
+ */
+function verifySignature(secret, body, timestamp, signatureHeader, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) {
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(secret, seconds, body));
+  return String(signatureHeader || "")
+    .split(",")
+    .map(candidate => Buffer.from(candidate.trim()))
+    .some(candidate => candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected));
+}
+
+module.exports = {
+  generateSecret,
+  signatureHeaders,
+  verifySignature,
+};
@@ -1,369 +1,352 @@
-const { Kafka } = require("kafkajs");
 require("dotenv").config();
 const db = require("../../db/connection");
-const { processPayment } = require("../mock/paymentService");
-const { v4: uuidv4 } = require('uuid');
-
-const MAX_RETRIES = 3;
+const { PAYMENT_STATUS, createPaymentProvider, guardProvider } = require("../payments/paymentProvider");
+const { withPaymentAttempt } = require("../payments/paymentAttempts");
+const { RECONCILE_OUTCOME, reconcileStuckPayments } = require("../payments/reconciliation");
+const { STATES, VersionConflictError, transition } = require("../orders/stateMachine");
+const { CIRCUIT_STATE, createCircuitBreaker } = require("../resilience/circuitBreaker");
+const { createBulkhead } = require("../resilience/bulkhead");
+const { createEventConsumer } = require("../consumers/eventConsumer");
+const { initMetrics, counter, gauge, histogram } = require("../observability/metrics");
+const { startOpsServer } = require("../observability/opsServer");
+const { runChecks, postgresCheck } = require("../observability/health");
+const { createLifecycle, closeServer } = require("../lifecycle/shutdown");
+
+initMetrics("payment-worker");
 
 const metrics = {
-  eventsProcessed: 0,
-  duplicatesSkipped: 0,
-  paymentsSuccess: 0,
-  paymentsFailed: 0,
-  retriedEvents: 0,
-  dlqEvents: 0,
+  payments: counter("worker_payments_total", "Payment outcomes", ["status"]),
+  refunds: counter("worker_refunds_total", "Refund outcomes", ["status"]),
+  reconciliations: counter("worker_payment_reconciliations_total", "Stuck PAYMENT_PENDING orders reconciled", ["outcome"]),
+  circuitState: gauge("worker_payment_circuit_state", "Payment provider circuit: 0 closed, 1 half-open, 2 open"),
+  circuitTransitions: counter("worker_payment_circuit_transitions_total", "Payment provider circuit state changes", ["state"]),
+  paymentDuration: histogram(
+    "worker_payment_duration_seconds",
+    "Payment service call latency",
+    ["operation", "status"],
+    [0.1, 0.25, 0.5, 1, 2, 5, 10]
+  ),
+  orderCreatedToPaid: histogram(
+    "order_created_to_paid_seconds",
+    "Time from order creation to the PAID commit",
+    [],
+    [0.5, 1, 2, 5, 10, 30, 60, 300]
+  ),
 };
 
-setInterval(() => {
+const CIRCUIT_STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+// While the provider is down, calls fail fast and events wait on paused
+// partitions instead of burning their retries. The bulkhead caps how many
+// calls are in flight at once.
+const paymentBreaker = createCircuitBreaker("payment-provider", {
+  failureThreshold: Number(process.env.PAYMENT_BREAKER_FAILURE_THRESHOLD) || 5,
+  openDurationMs: Number(process.env.PAYMENT_BREAKER_OPEN_MS) || 30000,
+  halfOpenProbes: Number(process.env.PAYMENT_BREAKER_HALF_OPEN_PROBES) || 1,
+  // Declines are results, and a non-retryable error means our request was wrong
+  isFailure: err => err.retryable !== false,
+  onStateChange: onPaymentCircuitChange,
+});
+const paymentBulkhead = createBulkhead({
+  maxConcurrent: Number(process.env.PAYMENT_MAX_CONCURRENT_CALLS) || 10,
+});
+const paymentProvider = guardProvider(createPaymentProvider(), { breaker: paymentBreaker, bulkhead: paymentBulkhead });
+
+gauge("worker_payment_calls_in_flight", "Payment provider calls in flight", {
+  collect() { this.set(paymentBulkhead.inFlight); },
+});
+gauge("worker_payment_calls_queued", "Payment provider calls waiting for a bulkhead slot", {
+  collect() { this.set(paymentBulkhead.queued); },
+});
+
+const RECONCILE_INTERVAL_MS = Number(process.env.PAYMENT_RECONCILE_INTERVAL_MS) || 60000;
+const lifecycle = createLifecycle("payment-worker");
+// Name this worker records processed and dead-lettered events under
+const CONSUMER_NAME = "payment-worker";
+
+// Duplicates were skipped by the framework. The processed marker is written
+// with the final transition, since the provider call can't join a transaction.
+async function handleOrderCreated(event, { correlationId, processedEvent }) {
+  const orderId = event.aggregateId;
+  const eventId = event.eventId;
+
+  // STEP 1: Set to PAYMENT_PENDING
+  let version;
+  try {
+    const { order } = await transition(orderId, STATES.CREATED, STATES.PAYMENT_PENDING, null, {}, { correlationId });
+    version = order.version;
+    console.log({
+      service: "payment-worker",
+      type: "STATE_CHANGE",
+      orderId,
+      newState: STATES.PAYMENT_PENDING,
+    });
+  } catch (err) {
+    if (!(err instanceof VersionConflictError)) {
+      throw err;
+    }
+    // A retry after the provider call failed finds the order already PAYMENT_PENDING
+    version = await pendingPaymentVersion(orderId);
+    if (version === null) {
+      console.log({
+        service: "payment-worker",
+        type: "STATE_CHANGE",
+        orderId,
+        newState: "ALREADY_PROCESSED_OR_INVALID_STATE",
+      });
+      return;
+    }
+  }
+
+  // STEP 2: Authorize and capture (provider errors are thrown to the retry path).
+  // Idempotency keys make this safe to repeat after a crash or a retry.
+  const paymentResult = await chargeOrder(orderId, eventId, event.payload);
+
   console.log({
     service: "payment-worker",
-    type: "METRICS",
-    ...metrics,
+    type: "PAYMENT_RESULT",
+    orderId,
+    status: paymentResult.status,
+    declineCode: paymentResult.declineCode,
   });
-}, 10000);
 
-const kafka = new Kafka({
-    clientId: "payment-worker",
-    brokers: [process.env.KAFKA_BROKER],
-})
+  // STEP 3: Update state + emit event + mark processed (atomically)
+  metrics.payments.inc({ status: paymentResult.status });
+  const paid = paymentResult.status === PAYMENT_STATUS.CAPTURED;
+  const newState = paid ? STATES.PAID : STATES.FAILED;
+  const eventPayload = paid ? {} : { declineCode: paymentResult.declineCode || null };
+
+  const order = await finishTransition(orderId, STATES.PAYMENT_PENDING, newState, version, eventPayload, processedEvent, correlationId);
+  if (order && order.state === STATES.PAID) {
+    metrics.orderCreatedToPaid.observe((order.updated_at - order.created_at) / 1000);
+  }
+}
 
-const consumer = kafka.consumer({groupId:"payment-group"})
+// Version of the order if it is still PAYMENT_PENDING, else null
+async function pendingPaymentVersion(orderId) {
+  const { rows } = await db.query(`SELECT state, version FROM orders WHERE id = $1`, [orderId]);
+  if (rows.length === 0 || rows[0].state !== STATES.PAYMENT_PENDING) {
+    return null;
+  }
+  return rows[0].version;
+}
+
+// Times a provider call; errors are recorded with status ERROR and rethrown
+async function timedProviderCall(operation, call) {
+  const endTimer = metrics.paymentDuration.startTimer({ operation });
+  try {
+    const result = await call();
+    endTimer({ status: result.status });
+    return result;
+  } catch (err) {
+    endTimer({ status: "ERROR" });
+    throw err;
+  }
+}
+
+// Records a payment_attempts row, then makes the timed provider call with its
+// idempotency key
+function providerCall(operation, orderId, eventId, call) {
+  return withPaymentAttempt({ orderId, operation, provider: paymentProvider.name, eventId }, idempotencyKey =>
+    timedProviderCall(operation, () => call(idempotencyKey))
+  );
+}
+
+// Authorize, then capture. Returns the capture result, or the decline if the
+// authorization was declined.
+async function chargeOrder(orderId, eventId, { userId, amount, currency }) {
+  const authorization = await providerCall("authorize", orderId, eventId, idempotencyKey =>
+    paymentProvider.authorize({ orderId, customerId: userId, amount, currency, idempotencyKey })
+  );
+  if (authorization.status !== PAYMENT_STATUS.AUTHORIZED) {
+    return authorization;
+  }
 
-// Extract OrderCreated processing logic
-async function handleOrderCreated(event) {
+  return providerCall("capture", orderId, eventId, idempotencyKey =>
+    paymentProvider.capture({ orderId, authorizationId: authorization.authorizationId, amount, currency, idempotencyKey })
+  );
+}
+
+// Refund a PAID order the API moved to CANCELLATION_REQUESTED
+async function handleOrderCancellationRequested(event, { correlationId, processedEvent }) {
   const orderId = event.aggregateId;
   const eventId = event.eventId;
 
-  // STEP 0: Check if already processed (idempotency - check only, don't insert yet)
-  const alreadyProcessed = await db.query(`
-    SELECT 1 FROM processed_events
-    WHERE event_id = $1 AND worker_id = $2
-  `, [eventId, "payment-worker"]);
+  // STEP 1: Confirm the order is still waiting for its refund
+  const current = await db.query(
+    `SELECT state, version, amount, currency FROM orders WHERE id = $1`,
+    [orderId]
+  );
 
-  if (alreadyProcessed.rowCount > 0) {
+  if (current.rowCount === 0 || current.rows[0].state !== STATES.CANCELLATION_REQUESTED) {
     console.log({
       service: "payment-worker",
-      type: "DUPLICATE_EVENT",
-      eventId,
+      type: "STATE_CHANGE",
+      orderId,
+      newState: "ALREADY_PROCESSED_OR_INVALID_STATE",
     });
-    metrics.duplicatesSkipped++;
     return;
   }
 
-  // STEP 1: Set to PAYMENT_PENDING
-  const result = await db.query(
-    `
-    UPDATE orders
-    SET state = 'PAYMENT_PENDING',
-        version = version + 1,
-        updated_at = now()
-    WHERE id = $1 AND state = 'CREATED'
-    RETURNING *
-    `,
-    [orderId]
+  const { version, amount, currency } = current.rows[0];
+
+  // STEP 2: Refund payment (a failure is thrown so the retry/DLQ path handles it)
+  const refundResult = await providerCall("refund", orderId, eventId, idempotencyKey =>
+    paymentProvider.refund({ orderId, amount, currency, idempotencyKey })
+  );
+  metrics.refunds.inc({ status: refundResult.status });
+
+  console.log({
+    service: "payment-worker",
+    type: "REFUND_RESULT",
+    orderId,
+    status: refundResult.status,
+    declineCode: refundResult.declineCode,
+  });
+
+  // A retry or DLQ replay sends the same idempotency key and gets the same
+  // decline back, so the order ends in REFUND_FAILED for an operator to settle
+  if (refundResult.status !== PAYMENT_STATUS.REFUNDED) {
+    await finishTransition(
+      orderId,
+      STATES.CANCELLATION_REQUESTED,
+      STATES.REFUND_FAILED,
+      version,
+      { amount, declineCode: refundResult.declineCode ?? null },
+      processedEvent,
+      correlationId
+    );
+    return;
+  }
+
+  // STEP 3: Update state + emit RefundIssued/OrderRefunded + mark processed (atomically)
+  await finishTransition(
+    orderId,
+    STATES.CANCELLATION_REQUESTED,
+    STATES.REFUNDED,
+    version,
+    { refundId: refundResult.refundId, amount },
+    processedEvent,
+    correlationId
   );
+}
 
-  if (result.rowCount === 0) {
+// Final step of a handler: apply the transition and mark the triggering event
+// processed. Losing the optimistic-lock race is logged, not retried (returns null).
+// Emitted events keep the correlation id of the event that triggered them.
+async function finishTransition(orderId, from, to, version, eventPayload, processedEvent, correlationId) {
+  let result;
+  try {
+    result = await transition(orderId, from, to, version, eventPayload, { processedEvent, correlationId });
+  } catch (err) {
+    if (!(err instanceof VersionConflictError)) {
+      throw err;
+    }
     console.log({
       service: "payment-worker",
       type: "STATE_CHANGE",
       orderId,
-      newState: "ALREADY_PROCESSED_OR_INVALID_STATE",
+      newState: "STATE_CHANGED_BY_ANOTHER_WORKER",
     });
-    return;
+    return null;
   }
 
-  const version = result.rows[0].version;
   console.log({
     service: "payment-worker",
     type: "STATE_CHANGE",
     orderId,
-    newState: "PAYMENT_PENDING",
-  });
-
-  // STEP 2: Process payment
-  const paymentResult = await processPayment({
-    orderId,
-    amount: event.payload.amount,
+    newState: to,
   });
+  return result.order;
+}
 
+function onPaymentCircuitChange(from, to) {
   console.log({
     service: "payment-worker",
-    type: "PAYMENT_RESULT",
-    orderId,
-    status: paymentResult.status,
+    type: "PAYMENT_CIRCUIT_STATE",
+    from,
+    to,
   });
+  metrics.circuitState.set(CIRCUIT_STATE_VALUES[to]);
+  metrics.circuitTransitions.inc({ state: to });
 
-  // STEP 3: Update state + emit event (atomically)
-  if (paymentResult.status === "SUCCESS") {
-    metrics.paymentsSuccess++;
-    const client = await db.getClient();
-
-    try {
-      await client.query("BEGIN");
-
-      const updateResult = await client.query(
-        `
-        UPDATE orders
-        SET state = 'PAID',
-            version = version + 1,
-            updated_at = now()
-        WHERE id = $1 AND state = 'PAYMENT_PENDING' AND version = $2
-        RETURNING *
-        `,
-        [orderId, version]
-      );
-
-      if (updateResult.rowCount === 0) {
-        await client.query("ROLLBACK");
-        console.log({
-          service: "payment-worker",
-          type: "STATE_CHANGE",
-          orderId,
-          newState: "STATE_CHANGED_BY_ANOTHER_WORKER",
-        });
-        return;
-      }
-
-      // Insert OrderPaid event
-      await client.query(
-        `
-        INSERT INTO outbox (
-          event_id,
-          aggregate_type,
-          aggregate_id,
-          event_type,
-          payload
-        )
-        VALUES ($1, $2, $3, $4, $5)
-        `,
-        [
-          uuidv4(),
-          "order",
-          orderId,
-          "OrderPaid",
-          JSON.stringify({ orderId }),
-        ]
-      );
-
-      // Mark as processed (idempotency)
-      await client.query(`
-        INSERT INTO processed_events(event_id, worker_id)
-        VALUES ($1, $2)
-        ON CONFLICT (event_id, worker_id) DO NOTHING
-      `, [eventId, "payment-worker"]);
-
-      await client.query("COMMIT");
-      console.log({
-        service: "payment-worker",
-        type: "STATE_CHANGE",
-        orderId,
-        newState: "PAID",
-      });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      throw err;
-    } finally {
-      client.release();
-    }
-  } else {
-    metrics.paymentsFailed++;
-    const client = await db.getClient();
-
-    try {
-      await client.query("BEGIN");
-
-      const updateResult = await client.query(
-        `
-        UPDATE orders
-        SET state = 'FAILED',
-            version = version + 1,
-            updated_at = now()
-        WHERE id = $1 AND state = 'PAYMENT_PENDING' AND version = $2
-        RETURNING *
-        `,
-        [orderId, version]
-      );
-
-      if (updateResult.rowCount === 0) {
-        await client.query("ROLLBACK");
-        console.log({
-          service: "payment-worker",
-          type: "STATE_CHANGE",
-          orderId,
-          newState: "STATE_CHANGED_BY_ANOTHER_WORKER",
-        });
-        return;
-      }
-
-      // Insert OrderFailed event
-      await client.query(
-        `
-        INSERT INTO outbox (
-          event_id,
-          aggregate_type,
-          aggregate_id,
-          event_type,
-          payload
-        )
-        VALUES ($1, $2, $3, $4, $5)
-        `,
-        [
-          uuidv4(),
-          "order",
-          orderId,
-          "OrderFailed",
-          JSON.stringify({ orderId }),
-        ]
-      );
-
-      // Mark as processed (idempotency)
-      await client.query(`
-        INSERT INTO processed_events(event_id, worker_id)
-        VALUES ($1, $2)
-        ON CONFLICT (event_id, worker_id) DO NOTHING
-      `, [eventId, "payment-worker"]);
-
-      await client.query("COMMIT");
-      console.log({
+  if (to === CIRCUIT_STATE.CLOSED) {
+    paymentConsumer.resumePaused();
+  } else if (to === CIRCUIT_STATE.OPEN) {
+    paymentConsumer.scheduleResume();
+  }
+}
+
+// The payment worker is this handler set on the consumer framework, which
+// brings deserialization, duplicate checks, retries, the DLQ and partition
+// pausing while the payment circuit is open. Other event types are skipped.
+const paymentConsumer = createEventConsumer({
+  name: CONSUMER_NAME,
+  groupId: "payment-group",
+  handlers: {
+    OrderCreated: handleOrderCreated,
+    OrderCancellationRequested: handleOrderCancellationRequested,
+  },
+  breaker: paymentBreaker,
+  signal: lifecycle.signal,
+});
+
+// One reconciliation batch; errors are logged and the next run tries again
+async function runReconciliation() {
+  if (!paymentBreaker.isCallPermitted()) {
+    return;
+  }
+  try {
+    const results = await reconcileStuckPayments({ provider: paymentProvider, signal: lifecycle.signal });
+    for (const result of results) {
+      metrics.reconciliations.inc({ outcome: result.outcome });
+      const log = result.outcome === RECONCILE_OUTCOME.ERROR ? console.error : console.log;
+      log({
         service: "payment-worker",
-        type: "STATE_CHANGE",
-        orderId,
-        newState: "FAILED",
+        type: "PAYMENT_RECONCILED",
+        ...result,
       });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      throw err;
-    } finally {
-      client.release();
     }
+  } catch (err) {
+    console.error({
+      service: "payment-worker",
+      type: "RECONCILIATION_ERROR",
+      error: err.message,
+    });
   }
 }
 
 async function start(){
-    await consumer.connect();
-    await consumer.subscribe({ topic: "order-events", fromBeginning: true });
-    console.log({
+    const opsServer = startOpsServer({
         service: "payment-worker",
-        type: "STARTUP",
-        message: "Payment Worker connected to Kafka and subscribed to order-events",
+        port: Number(process.env.WORKER_OPS_PORT) || 9102,
+        routes: {
+            "/healthz": () => runChecks(paymentConsumer.livenessChecks),
+            "/readyz": () => runChecks({
+                shutdown: lifecycle.readinessCheck,
+                postgres: postgresCheck,
+                ...paymentConsumer.readinessChecks,
+            }),
+        },
     });
 
-    await consumer.run({
-        eachMessage: async({ topic, partition, message })=>{
-            try{
-                const value = message.value.toString();
-                const event = JSON.parse(value);
-
-                console.log({
-                    service: "payment-worker",
-                    type: "EVENT_RECEIVED",
-                    eventId: event.eventId,
-                    eventType: event.eventType,
-                });
-
-                metrics.eventsProcessed++;
-
-                if (event.eventType === "OrderCreated") {
-                  const eventId = event.eventId;
-                  let retryCount = 0;
-
-                  while (retryCount < MAX_RETRIES) {
-                    try {
-                      // Process the event
-                      await handleOrderCreated(event);
-
-                      // Success → break out of retry loop
-                      console.log({
-                        service: "payment-worker",
-                        type: "PROCESSING_SUCCESS",
-                        eventId,
-                        retriesUsed: retryCount,
-                      });
-                      break;
-
-                    } catch (err) {
-                      retryCount++;
-
-                      console.error({
-                        service: "payment-worker",
-                        type: "PROCESSING_ERROR",
-                        eventId,
-                        retryCount,
-                        error: err.message,
-                      });
-
-                      metrics.retriedEvents++;
-
-                      if (retryCount >= MAX_RETRIES) {
-                        console.error({
-                          service: "payment-worker",
-                          type: "DLQ_EVENT",
-                          eventId,
-                          reason: err.message,
-                          retriesAttempted: retryCount,
-                        });
-
-                        // Move to dead-letter queue
-                        try {
-                          await db.query(`
-                            INSERT INTO dead_letter_events (
-                              event_id,
-                              event_type,
-                              aggregate_id,
-                              payload,
-                              reason
-                            )
-                            VALUES ($1, $2, $3, $4, $5)
-                            ON CONFLICT (event_id) DO NOTHING
-                          `, [
-                            event.eventId,
-                            event.eventType,
-                            event.aggregateId,
-                            JSON.stringify(event.payload),
-                            err.message,
-                          ]);
-
-                          metrics.dlqEvents++;
-                        } catch (dlqErr) {
-                          console.error({
-                            service: "payment-worker",
-                            type: "DLQ_INSERT_ERROR",
-                            eventId,
-                            error: dlqErr.message,
-                          });
-                        }
-                      } else {
-                        // Wait before retrying
-                        console.log({
-                          service: "payment-worker",
-                          type: "RETRY_SCHEDULED",
-                          eventId,
-                          retryCount,
-                          maxRetries: MAX_RETRIES,
-                        });
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                      }
-                    }
-                  }
-                } else {
-  console.log({
-    service: "payment-worker",
-    type: "SKIPPED_EVENT_TYPE",
-    eventType: event.eventType,
-  });
-}
+    await paymentConsumer.start();
+
+    let reconciliation = Promise.resolve();
+    const reconcileTimer = setInterval(() => {
+        reconciliation = reconciliation.then(runReconciliation);
+    }, RECONCILE_INTERVAL_MS).unref();
 
-            }catch(err){
-                console.error({
-                  service: "payment-worker",
-                  type: "ERROR",
-                  error: err.message,
-                });
-            }
-        }
-    })
+    // Stopping the consumer waits for the messages in flight, so a payment
+    // isn't abandoned between charge and commit
+    lifecycle.addStep("reconciliation", () => {
+        clearInterval(reconcileTimer);
+        return reconciliation;
+    });
+    lifecycle.addStep("kafka", () => paymentConsumer.stop());
+    lifecycle.addStep("postgres", () => db.end());
+    lifecycle.addStep("ops server", () => closeServer(opsServer));
+    lifecycle.listen();
 }
 
 start().catch(err=>{
@@ -373,4 +356,4 @@ start().catch(err=>{
       error: err.message,
     });
     process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,181 @@
+require("dotenv").config();
+const db = require("../../db/connection");
+const { WEBHOOK_EVENT_TYPES, ATTEMPT_OUTCOME, enqueueDeliveries, deliverDue } = require("../webhooks/webhookDeliveries");
+const { createEventConsumer } = require("../consumers/eventConsumer");
+const { initMetrics, counter, gauge, histogram } = require("../observability/metrics");
+const { startOpsServer } = require("../observability/opsServer");
+const { runChecks, postgresCheck } = require("../observability/health");
+const { createLifecycle, closeServer } = require("../lifecycle/shutdown");
+
+initMetrics("webhook-worker");
+
+const metrics = {
+  deliveriesQueued: counter("webhook_deliveries_queued_total", "Webhook deliveries queued for subscriptions", ["event_type"]),
+  attempts: counter("webhook_delivery_attempts_total", "Webhook HTTP attempts by outcome", ["outcome"]),
+  attemptDuration: histogram(
+    "webhook_delivery_duration_seconds",
+    "Webhook request latency, including timeouts",
+    [],
+    [0.1, 0.25, 0.5, 1, 2, 5, 10]
+  ),
+  subscriptionsDisabled: counter("webhook_subscriptions_disabled_total", "Subscriptions disabled after repeated failed deliveries"),
+};
+
+gauge("webhook_deliveries_pending", "Webhook deliveries not yet delivered or failed", {
+  async collect() {
+    const { rows } = await db.query(`SELECT COUNT(*)::int AS count FROM webhook_deliveries WHERE status = 'PENDING'`);
+    this.set(rows[0].count);
+  },
+});
+
+const BATCH_SIZE = Number(process.env.WEBHOOK_BATCH_SIZE) || 20;
+const POLL_INTERVAL_MS = Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 1000;
+const lifecycle = createLifecycle("webhook-worker");
+// Name the dispatcher records processed and dead-lettered events under
+const CONSUMER_NAME = "webhook-dispatcher";
+
+// Set when the dispatcher queues deliveries, so they go out without waiting
+// for the next poll
+let wakeRequested = false;
+let wake = () => {};
+
+// Deliveries are queued in the same transaction as the processed marker, so a
+// redelivered event finds the marker and queues nothing
+async function queueDeliveries(event, { processOnce }) {
+  const { duplicate, result: queued } = await processOnce(client => enqueueDeliveries(client, event));
+  if (duplicate || queued === 0) {
+    return;
+  }
+
+  metrics.deliveriesQueued.inc({ event_type: event.eventType }, queued);
+  console.log({
+    service: "webhook-worker",
+    type: "WEBHOOK_QUEUED",
+    eventId: event.eventId,
+    eventType: event.eventType,
+    deliveries: queued,
+  });
+  wakeRequested = true;
+  wake();
+}
+
+const dispatcher = createEventConsumer({
+  name: CONSUMER_NAME,
+  groupId: "webhook-group",
+  handlers: Object.fromEntries(WEBHOOK_EVENT_TYPES.map(eventType => [eventType, queueDeliveries])),
+  signal: lifecycle.signal,
+});
+
+// Log type by attempt outcome; the rest are WEBHOOK_DELIVERY_FAILED
+const ATTEMPT_LOG_TYPES = {
+  [ATTEMPT_OUTCOME.SUCCEEDED]: "WEBHOOK_DELIVERED",
+  [ATTEMPT_OUTCOME.SUPERSEDED]: "WEBHOOK_ATTEMPT_SUPERSEDED",
+};
+
+function logAttempt({ delivery, result, recorded }) {
+  metrics.attempts.inc({ outcome: recorded.outcome });
+  metrics.attemptDuration.observe(result.durationMs / 1000);
+
+  const log = recorded.outcome === ATTEMPT_OUTCOME.SUCCEEDED ? console.log : console.error;
+  log({
+    service: "webhook-worker",
+    type: ATTEMPT_LOG_TYPES[recorded.outcome] || "WEBHOOK_DELIVERY_FAILED",
+    deliveryId: delivery.id,
+    subscriptionId: delivery.subscription_id,
+    eventId: delivery.event_id,
+    eventType: delivery.event_type,
+    round: recorded.round,
+    attempt: recorded.attempt,
+    outcome: recorded.outcome,
+    statusCode: result.statusCode,
+    error: result.error || undefined,
+    nextAttemptAt: recorded.nextAttemptAt || undefined,
+  });
+
+  if (recorded.subscriptionDisabled) {
+    metrics.subscriptionsDisabled.inc();
+    console.error({
+      service: "webhook-worker",
+      type: "WEBHOOK_SUBSCRIPTION_DISABLED",
+      subscriptionId: delivery.subscription_id,
+      error: result.error,
+    });
+  }
+}
+
+// A full batch means more may be due, so go again at once; otherwise wait
+// for the poll interval or for the dispatcher to queue something
+async function deliveryLoop() {
+  while (!lifecycle.isShuttingDown()) {
+    let delivered = [];
+    try {
+      delivered = await deliverDue({ limit: BATCH_SIZE });
+      delivered.forEach(logAttempt);
+    } catch (err) {
+      // Claimed deliveries are picked up again once their lease runs out
+      console.error({
+        service: "webhook-worker",
+        type: "WEBHOOK_DELIVERY_ERROR",
+        error: err.message,
+      });
+    }
+
+    if (delivered.length < BATCH_SIZE) {
+      await waitForWork(POLL_INTERVAL_MS);
+    }
+  }
+}
+
+// Resolves after ms, when deliveries are queued, or when shutdown starts
+function waitForWork(ms) {
+  return new Promise(resolve => {
+    if (wakeRequested || lifecycle.signal.aborted) {
+      wakeRequested = false;
+      return resolve();
+    }
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      lifecycle.signal.removeEventListener("abort", done);
+      wake = () => {};
+      wakeRequested = false;
+      resolve();
+    }
+    wake = done;
+    lifecycle.signal.addEventListener("abort", done);
+  });
+}
+
+async function start(){
+    const opsServer = startOpsServer({
+        service: "webhook-worker",
+        port: Number(process.env.WEBHOOK_OPS_PORT) || 9103,
+        routes: {
+            "/healthz": () => runChecks(dispatcher.livenessChecks),
+            "/readyz": () => runChecks({
+                shutdown: lifecycle.readinessCheck,
+                postgres: postgresCheck,
+                ...dispatcher.readinessChecks,
+            }),
+        },
+    });
+
+    await dispatcher.start();
+    const delivering = deliveryLoop();
+
+    // Requests in flight finish (or time out) and are recorded before the pool closes
+    lifecycle.addStep("kafka", () => dispatcher.stop());
+    lifecycle.addStep("delivery loop", () => delivering);
+    lifecycle.addStep("postgres", () => db.end());
+    lifecycle.addStep("ops server", () => closeServer(opsServer));
+    lifecycle.listen();
+}
+
+start().catch(err=>{
+    console.error({
+      service: "webhook-worker",
+      type: "ERROR",
+      error: err.message,
+    });
+    process.exit(1);
+});
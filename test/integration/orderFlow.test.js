@@ -14,9 +14,16 @@
  * - Clean database state
  */
 
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
 const { Client } = require('pg');
 const { Kafka } = require('kafkajs');
 const { v4: uuidv4 } = require('uuid');
+const { createHttpProvider } = require('../../src/payments/providers/httpProvider');
+const { guardProvider } = require('../../src/payments/paymentProvider');
+const { CIRCUIT_STATE, CircuitOpenError, createCircuitBreaker } = require('../../src/resilience/circuitBreaker');
+const { createBulkhead } = require('../../src/resilience/bulkhead');
 
 // Database configuration
 const dbConfig = {
@@ -27,12 +34,43 @@ const dbConfig = {
   database: 'app_db',
 };
 
+// For the scripts and modules under test, which connect through db/connection.js
+const databaseUrl = process.env.DATABASE_URL ||
+  `postgres://${dbConfig.user}:${dbConfig.password}@${dbConfig.host}:${dbConfig.port}/${dbConfig.database}`;
+process.env.DATABASE_URL = databaseUrl;
+
+// Short retry tiers without jitter, so an event goes through both in seconds.
+// retryTopics.js reads these when it loads.
+process.env.RETRY_TOPIC_TIERS = '1s,2s';
+process.env.RETRY_BASE_DELAY_MS = '1000';
+process.env.RETRY_BACKOFF_MULTIPLIER = '2';
+process.env.RETRY_MAX_RETRIES = '2';
+process.env.RETRY_JITTER_RATIO = '0';
+
+// Two attempts a second apart per delivery, and a subscription is disabled
+// after two failed deliveries. webhookDeliveries.js reads these when it loads.
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '1000';
+process.env.WEBHOOK_DISABLE_AFTER_FAILED_DELIVERIES = '2';
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+const db = require('../../db/connection');
+const { isProcessed, processOnce, cleanupProcessedEvents } = require('../../src/consumers/idempotentConsumer');
+const { createEventConsumer } = require('../../src/consumers/eventConsumer');
+const { enqueueDeliveries, deliverDue } = require('../../src/webhooks/webhookDeliveries');
+const { verifySignature } = require('../../src/webhooks/webhookSignature');
+
 // Kafka configuration
 const kafka = new Kafka({
   clientId: 'integration-test',
   brokers: ['localhost:9092'],
 });
 
+// Payment stub the worker talks to (PAYMENT_PROVIDER=http)
+const paymentStubUrl = process.env.PAYMENT_PROVIDER_URL || 'http://localhost:4010';
+
+const TOTAL_TESTS = 18;
+
 // Test utilities
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -47,6 +85,54 @@ async function createOrder(userId, amount) {
   return response.json();
 }
 
+async function createOrderWithKey(idempotencyKey, body) {
+  const response = await fetch('http://localhost:3000/orders', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function postOrderRaw(body) {
+  const response = await fetch('http://localhost:3000/orders', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function cancelOrder(orderId, body = {}) {
+  const response = await fetch(`http://localhost:3000/orders/${orderId}/cancel`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function adminRequest(method, path, body) {
+  const response = await fetch(`http://localhost:3000/admin${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.ADMIN_API_TOKEN ? { Authorization: `Bearer ${process.env.ADMIN_API_TOKEN}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function dlqRequest(method, path, body) {
+  return adminRequest(method, `/dlq${path}`, body);
+}
+
+async function getOrder(path) {
+  const response = await fetch(`http://localhost:3000/orders${path}`);
+  return { status: response.status, body: await response.json() };
+}
+
 async function getOrderState(client, orderId) {
   const result = await client.query(
     'SELECT id, state, version FROM orders WHERE id = $1',
@@ -63,6 +149,52 @@ async function isEventProcessed(client, eventId) {
   return result.rows.length > 0;
 }
 
+// Polls until the order reaches one of `states` or `timeoutMs` passes
+async function waitForOrderState(client, orderId, states, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let order = await getOrderState(client, orderId);
+  while (!states.includes(order?.state) && Date.now() < deadline) {
+    await sleep(1000);
+    order = await getOrderState(client, orderId);
+  }
+  return order;
+}
+
+async function setStubScenario(kind, id, scenario) {
+  const response = await fetch(`${paymentStubUrl}/__scenarios/${kind}/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(scenario),
+  });
+  if (response.status !== 204) {
+    throw new Error(`Payment stub rejected the scenario with ${response.status}`);
+  }
+}
+
+// Outcomes of the stub's calls for an order, e.g. ['timeout', 'approve']
+async function getStubOutcomes(orderId, operation) {
+  const response = await fetch(`${paymentStubUrl}/__calls/${orderId}`);
+  const { calls } = await response.json();
+  return calls.filter(call => call.operation === operation).map(call => call.outcome);
+}
+
+// Messages written to a topic so far, over all partitions
+async function countTopicMessages(admin, topic) {
+  const offsets = await admin.fetchTopicOffsets(topic);
+  return offsets.reduce((total, { low, high }) => total + Number(high) - Number(low), 0);
+}
+
+// Runs scripts/migrate.js; resolves with its exit code and output
+function runMigrate(...args) {
+  return new Promise(resolve => {
+    execFile(
+      process.execPath,
+      [path.join(__dirname, '../../scripts/migrate.js'), ...args],
+      (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: stdout + stderr })
+    );
+  });
+}
+
 async function getOutboxEvent(client, aggregateId) {
   const result = await client.query(
     'SELECT * FROM outbox WHERE aggregate_id = $1 ORDER BY created_at DESC LIMIT 1',
@@ -341,11 +473,923 @@ async function runIntegrationTests() {
     console.log('✅ Test 5 PASSED\n');
     passedTests++;
 
+    // ===================================================================
+    // TEST 6: Order Query API - Read Back State and History
+    // ===================================================================
+    console.log('📋 Test 6: Order Query API');
+
+    const userId6 = uuidv4();
+    const createResponse6 = await createOrder(userId6, 75.5);
+    const orderId6 = createResponse6.orderId;
+
+    console.log(`  ✓ Order created: ${orderId6}`);
+
+    await sleep(6000); // Wait for publisher + worker
+
+    const single = await getOrder(`/${orderId6}`);
+    if (single.status !== 200 || single.body.orderId !== orderId6) {
+      throw new Error(`Expected order ${orderId6}, got status ${single.status}`);
+    }
+    console.log(`  ✓ GET /orders/:id returned state: ${single.body.state}, version: ${single.body.version}`);
+
+    const missing = await getOrder(`/${uuidv4()}`);
+    if (missing.status !== 404) {
+      throw new Error(`Expected 404 for unknown order, got ${missing.status}`);
+    }
+    console.log(`  ✓ Unknown order returns 404`);
+
+    const list = await getOrder(`?userId=${userId6}&limit=1`);
+    if (list.body.orders.length !== 1 || list.body.orders[0].orderId !== orderId6) {
+      throw new Error('Expected list filtered by userId to contain only the new order');
+    }
+    if (list.body.nextCursor !== null) {
+      throw new Error('Expected no next page for a single matching order');
+    }
+    console.log(`  ✓ GET /orders filtered by userId`);
+
+    const history = await getOrder(`/${orderId6}/events`);
+    const eventTypes = history.body.events.map(e => e.eventType);
+    if (eventTypes[0] !== 'OrderCreated' || eventTypes.length < 2) {
+      throw new Error(`Unexpected event history: ${eventTypes.join(', ')}`);
+    }
+    console.log(`  ✓ Event history: ${eventTypes.join(' → ')}`);
+
+    console.log('✅ Test 6 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 7: Idempotency-Key - Client Retries Create One Order
+    // ===================================================================
+    console.log('📋 Test 7: Idempotency-Key on POST /orders');
+
+    const idempotencyKey = uuidv4();
+    const body7 = { userId: uuidv4(), amount: 42.0 };
+
+    const first = await createOrderWithKey(idempotencyKey, body7);
+    if (first.status !== 201) {
+      throw new Error(`Expected 201 on first request, got ${first.status}`);
+    }
+    console.log(`  ✓ Order created: ${first.body.orderId}`);
+
+    const replay = await createOrderWithKey(idempotencyKey, body7);
+    if (replay.status !== 201 || replay.body.orderId !== first.body.orderId) {
+      throw new Error('Replay with same key should return the original response');
+    }
+    console.log(`  ✓ Replay returned the original order`);
+
+    const createdEvents = await client.query(
+      "SELECT COUNT(*)::int AS count FROM outbox WHERE aggregate_id = $1 AND event_type = 'OrderCreated'",
+      [first.body.orderId]
+    );
+    const userOrders = await client.query(
+      'SELECT COUNT(*)::int AS count FROM orders WHERE user_id = $1',
+      [body7.userId]
+    );
+    if (createdEvents.rows[0].count !== 1 || userOrders.rows[0].count !== 1) {
+      throw new Error('Replay must not create a second order or OrderCreated event');
+    }
+    console.log(`  ✓ Exactly one order and one OrderCreated event`);
+
+    const conflict = await createOrderWithKey(idempotencyKey, { ...body7, amount: 43.0 });
+    if (conflict.status !== 409) {
+      throw new Error(`Expected 409 for key reuse with different body, got ${conflict.status}`);
+    }
+    console.log(`  ✓ Key reuse with a different body rejected with 409`);
+
+    console.log('✅ Test 7 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 8: Request Validation - Structured Error Responses
+    // ===================================================================
+    console.log('📋 Test 8: Request Validation');
+
+    const invalidUser = await postOrderRaw({ userId: 'not-a-uuid', amount: 10 });
+    if (invalidUser.status !== 400 || invalidUser.body.error.code !== 'VALIDATION_ERROR') {
+      throw new Error(`Expected 400 VALIDATION_ERROR for bad userId, got ${invalidUser.status}`);
+    }
+    if (invalidUser.body.error.details[0].field !== 'body.userId') {
+      throw new Error('Expected field details to point at body.userId');
+    }
+    console.log(`  ✓ Non-UUID userId rejected with 400`);
+
+    const invalidAmounts = [-5, '10', 10.123];
+    for (const badAmount of invalidAmounts) {
+      const result = await postOrderRaw({ userId: uuidv4(), amount: badAmount });
+      if (result.status !== 400) {
+        throw new Error(`Expected 400 for amount ${JSON.stringify(badAmount)}, got ${result.status}`);
+      }
+    }
+    console.log(`  ✓ Negative, string and 3-decimal amounts rejected with 400`);
+
+    const tooLarge = await postOrderRaw({ userId: uuidv4(), amount: 99999999 });
+    if (tooLarge.status !== 422 || tooLarge.body.error.code !== 'LIMIT_EXCEEDED') {
+      throw new Error(`Expected 422 LIMIT_EXCEEDED for large amount, got ${tooLarge.status}`);
+    }
+    console.log(`  ✓ Amount above configured maximum rejected with 422`);
+
+    // Well-formed JSON, but nothing Postgres could compare against
+    const tamperedCursor = Buffer.from(JSON.stringify({ at: 'x', id: 'y' })).toString('base64url');
+    const tamperedPages = [
+      await getOrder(`?userId=${uuidv4()}&cursor=${tamperedCursor}`),
+      await dlqRequest('GET', `?cursor=${tamperedCursor}`),
+    ];
+    if (tamperedPages.some(page => page.status !== 400 || page.body.error.code !== 'VALIDATION_ERROR')) {
+      throw new Error(`Expected 400 for a tampered cursor, got ${tamperedPages.map(page => page.status).join(', ')}`);
+    }
+    console.log(`  ✓ Tampered cursor rejected with 400`);
+
+    console.log('✅ Test 8 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 9: Cancellation and Refund Workflow
+    // ===================================================================
+    console.log('📋 Test 9: Cancellation and Refund');
+
+    // Insert a CREATED order directly so the worker can't move it first
+    const orderId9 = uuidv4();
+    await client.query(
+      "INSERT INTO orders (id, user_id, amount, state) VALUES ($1, $2, $3, 'CREATED')",
+      [orderId9, uuidv4(), 20.0]
+    );
+
+    const cancelCreated = await cancelOrder(orderId9, { reason: 'customer request' });
+    if (cancelCreated.status !== 200 || cancelCreated.body.state !== 'CANCELLED') {
+      throw new Error(`Expected CREATED order to cancel immediately, got ${cancelCreated.status}`);
+    }
+    console.log(`  ✓ CREATED order cancelled directly`);
+
+    const cancelAgain = await cancelOrder(orderId9);
+    if (cancelAgain.status !== 409 || cancelAgain.body.error.code !== 'INVALID_STATE_TRANSITION') {
+      throw new Error(`Expected 409 cancelling a CANCELLED order, got ${cancelAgain.status}`);
+    }
+    console.log(`  ✓ Cancelling twice rejected with 409`);
+
+    // Let a real order finish payment, then cancel it
+    const createResponse9 = await createOrder(uuidv4(), 30.0);
+    await sleep(6000);
+    const settled = await getOrderState(client, createResponse9.orderId);
+
+    const cancelSettled = await cancelOrder(createResponse9.orderId, { expectedVersion: Number(settled.version) });
+    if (settled.state === 'FAILED') {
+      if (cancelSettled.status !== 409) {
+        throw new Error(`Expected 409 cancelling a FAILED order, got ${cancelSettled.status}`);
+      }
+      console.log(`  ✓ FAILED order cannot be cancelled`);
+    } else {
+      if (cancelSettled.status !== 202 || cancelSettled.body.state !== 'CANCELLATION_REQUESTED') {
+        throw new Error(`Expected 202 CANCELLATION_REQUESTED for PAID order, got ${cancelSettled.status}`);
+      }
+      console.log(`  ✓ PAID order moved to CANCELLATION_REQUESTED`);
+
+      await sleep(6000); // Wait for publisher + worker refund
+      const refunded = await getOrderState(client, createResponse9.orderId);
+      if (refunded.state !== 'REFUNDED') {
+        throw new Error(`Expected REFUNDED after refund, got ${refunded.state}`);
+      }
+      console.log(`  ✓ Worker issued refund, order is REFUNDED`);
+    }
+
+    // A declined refund ends the order in REFUND_FAILED instead of leaving it
+    // CANCELLATION_REQUESTED
+    const refundDeclinedUserId = uuidv4();
+    await setStubScenario('customers', refundDeclinedUserId, {
+      refund: { outcome: 'decline', declineCode: 'refund_window_expired' },
+    });
+    const refundDeclinedOrder = await createOrder(refundDeclinedUserId, 35.0);
+    const paidForRefund = await waitForOrderState(client, refundDeclinedOrder.orderId, ['PAID', 'FAILED'], 15000);
+    if (paidForRefund.state !== 'PAID') {
+      throw new Error(`Expected PAID before cancelling, got ${paidForRefund.state}`);
+    }
+    const cancelDeclined = await cancelOrder(refundDeclinedOrder.orderId);
+    if (cancelDeclined.status !== 202) {
+      throw new Error(`Expected 202 cancelling a PAID order, got ${cancelDeclined.status}`);
+    }
+
+    const refundFailed = await waitForOrderState(client, refundDeclinedOrder.orderId, ['REFUNDED', 'REFUND_FAILED'], 15000);
+    const refundFailedEvent = await client.query(
+      `SELECT payload FROM outbox WHERE aggregate_id = $1 AND event_type = 'RefundFailed'`,
+      [refundDeclinedOrder.orderId]
+    );
+    if (refundFailed.state !== 'REFUND_FAILED' || refundFailedEvent.rows[0]?.payload.declineCode !== 'refund_window_expired') {
+      throw new Error(`Expected REFUND_FAILED with declineCode refund_window_expired, got ${refundFailed.state}`);
+    }
+    console.log(`  ✓ Declined refund moved the order to REFUND_FAILED with its declineCode`);
+
+    const cancelRefundFailed = await cancelOrder(refundDeclinedOrder.orderId);
+    if (cancelRefundFailed.status !== 409 || cancelRefundFailed.body.error.code !== 'INVALID_STATE_TRANSITION') {
+      throw new Error(`Expected 409 cancelling a REFUND_FAILED order, got ${cancelRefundFailed.status}`);
+    }
+    console.log(`  ✓ REFUND_FAILED order cannot be cancelled again`);
+
+    console.log('✅ Test 9 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 10: Dead-Letter Queue Admin - Inspect, Replay, Discard
+    // ===================================================================
+    console.log('📋 Test 10: Dead-Letter Queue Admin');
+
+    const dlqReason = `integration-test-${uuidv4()}`;
+    const dlqEntries = [uuidv4(), uuidv4(), uuidv4()];
+    // v1 OrderCreated payloads (no currency) and one that matches no schema
+    const dlqPayloads = [
+      { orderId: uuidv4(), userId: uuidv4(), amount: 1 },
+      { orderId: uuidv4(), userId: uuidv4(), amount: 1 },
+      { amount: 1 },
+    ];
+    for (const [i, dlqEventId] of dlqEntries.entries()) {
+      await client.query(
+        `INSERT INTO dead_letter_events (event_id, event_type, aggregate_id, payload, schema_version, reason, consumer_name)
+         VALUES ($1, 'OrderCreated', $2, $3, 1, $4, 'payment-worker')`,
+        [dlqEventId, dlqPayloads[i].orderId || uuidv4(), JSON.stringify(dlqPayloads[i]), dlqReason]
+      );
+    }
+
+    const dlqList = await dlqRequest('GET', `?reason=${dlqReason}`);
+    if (dlqList.status !== 200 || dlqList.body.deadLetters.length !== 3) {
+      throw new Error(`Expected 3 entries filtered by reason, got ${dlqList.body.deadLetters?.length}`);
+    }
+    console.log(`  ✓ Listed entries filtered by reason`);
+
+    const replayed = await dlqRequest('POST', `/${dlqEntries[0]}/replay`, { operator: 'integration-test' });
+    if (replayed.status !== 202) {
+      throw new Error(`Expected 202 on replay, got ${replayed.status}`);
+    }
+    const replayOutbox = await client.query('SELECT 1 FROM outbox WHERE event_id = $1', [dlqEntries[0]]);
+    if (replayOutbox.rowCount !== 0) {
+      throw new Error('Replay should not go through the outbox, where every consumer would see it');
+    }
+    const dlqEntry = await dlqRequest('GET', `/${dlqEntries[0]}`);
+    if (dlqEntry.body.status !== 'REPLAYED' || dlqEntry.body.replay.attempts !== 1 ||
+        dlqEntry.body.replay.lastReplayEventId !== dlqEntries[0]) {
+      throw new Error('Replay should be tracked on the entry under the original event id');
+    }
+    console.log(`  ✓ Replay kept the event id, skipped the outbox and was tracked`);
+
+    // The payment worker picks up its own replay request
+    const replayDeadline = Date.now() + 15000;
+    let replayRequested = true;
+    while (replayRequested && Date.now() < replayDeadline) {
+      await sleep(1000);
+      const result = await client.query(
+        `SELECT replay_requested FROM dead_letter_events WHERE event_id = $1 AND consumer_name = 'payment-worker'`,
+        [dlqEntries[0]]
+      );
+      replayRequested = result.rows[0].replay_requested;
+    }
+    if (replayRequested) {
+      throw new Error('The payment worker should pick up the replay within 15s');
+    }
+    console.log(`  ✓ Replay was handed to the payment worker's retry topic`);
+
+    const discarded = await dlqRequest('POST', `/${dlqEntries[1]}/discard`, { note: 'not needed' });
+    if (discarded.status !== 200) {
+      throw new Error(`Expected 200 on discard, got ${discarded.status}`);
+    }
+    const replayDiscarded = await dlqRequest('POST', `/${dlqEntries[1]}/replay`, {});
+    if (replayDiscarded.status !== 409) {
+      throw new Error(`Expected 409 replaying a discarded entry, got ${replayDiscarded.status}`);
+    }
+    console.log(`  ✓ Discarded entry cannot be replayed`);
+
+    const replayInvalid = await dlqRequest('POST', `/${dlqEntries[2]}/replay`, {});
+    if (replayInvalid.status !== 422 || replayInvalid.body.error.code !== 'DEAD_LETTER_INVALID_PAYLOAD') {
+      throw new Error(`Expected 422 replaying a payload that fails its schema, got ${replayInvalid.status}`);
+    }
+    console.log(`  ✓ Entry failing its schema is not replayed`);
+
+    // The same event dead-lettered by two consumers is two entries
+    const sharedDlqEventId = uuidv4();
+    for (const consumerName of ['payment-worker', 'webhook-dispatcher']) {
+      await client.query(
+        `INSERT INTO dead_letter_events (event_id, event_type, aggregate_id, payload, schema_version, reason, consumer_name)
+         VALUES ($1, 'OrderPaid', $2, '{}', 1, $3, $4)`,
+        [sharedDlqEventId, uuidv4(), dlqReason, consumerName]
+      );
+    }
+    const ambiguous = await dlqRequest('GET', `/${sharedDlqEventId}`);
+    if (ambiguous.status !== 409 || ambiguous.body.error.code !== 'DEAD_LETTER_AMBIGUOUS') {
+      throw new Error(`Expected 409 without a consumer, got ${ambiguous.status}`);
+    }
+    const discardedOne = await dlqRequest('POST', `/${sharedDlqEventId}/discard`, {
+      note: 'not needed',
+      consumer: 'webhook-dispatcher',
+    });
+    const otherEntry = await dlqRequest('GET', `/${sharedDlqEventId}?consumer=payment-worker`);
+    if (discardedOne.status !== 200 || otherEntry.status !== 200 || otherEntry.body.status !== 'PENDING') {
+      throw new Error('Discarding one consumer\'s entry should leave the other pending');
+    }
+    console.log(`  ✓ Entries of the same event are told apart by consumer`);
+
+    console.log('✅ Test 10 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 11: Parked Outbox Events - List and Requeue
+    // ===================================================================
+    console.log('📋 Test 11: Parked Outbox Events');
+
+    const parkedEventId = uuidv4();
+    await client.query(
+      `INSERT INTO outbox (event_id, aggregate_type, aggregate_id, event_type, payload,
+         publish_attempts, last_publish_error, parked_at)
+       VALUES ($1, 'order', $2, 'IntegrationTestEvent', '{}', 10, 'integration-test failure', now())`,
+      [parkedEventId, uuidv4()]
+    );
+
+    const parkedList = await adminRequest('GET', '/outbox/parked?eventType=IntegrationTestEvent');
+    const listedParked = parkedList.body.parkedEvents?.find(e => e.eventId === parkedEventId);
+    if (parkedList.status !== 200 || !listedParked || listedParked.publish.attempts !== 10) {
+      throw new Error('Parked row should be listed with its attempt count');
+    }
+    console.log(`  ✓ Parked row listed with its last error`);
+
+    const requeued = await adminRequest('POST', `/outbox/parked/${parkedEventId}/requeue`);
+    if (requeued.status !== 202) {
+      throw new Error(`Expected 202 on requeue, got ${requeued.status}`);
+    }
+    await sleep(3000); // NOTIFY wakes the publisher
+    const requeuedRow = await client.query('SELECT published FROM outbox WHERE event_id = $1', [parkedEventId]);
+    if (!requeuedRow.rows[0].published) {
+      throw new Error('Requeued row should be published');
+    }
+    console.log(`  ✓ Requeued row was published`);
+
+    const requeueAgain = await adminRequest('POST', `/outbox/parked/${parkedEventId}/requeue`);
+    if (requeueAgain.status !== 409) {
+      throw new Error(`Expected 409 requeueing a row that isn't parked, got ${requeueAgain.status}`);
+    }
+    console.log(`  ✓ Only parked rows can be requeued`);
+
+    console.log('✅ Test 11 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 12: Correlation Id - Propagated from API to Emitted Events
+    // ===================================================================
+    console.log('📋 Test 12: Correlation Id Propagation');
+
+    const correlationId = `it-${uuidv4()}`;
+    const correlatedResponse = await fetch('http://localhost:3000/orders', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Correlation-Id': correlationId },
+      body: JSON.stringify({ userId: uuidv4(), amount: 12 }),
+    });
+    if (correlatedResponse.headers.get('x-correlation-id') !== correlationId) {
+      throw new Error('Response should echo X-Correlation-Id');
+    }
+    const correlatedOrder = await correlatedResponse.json();
+    console.log(`  ✓ X-Correlation-Id echoed on the response`);
+
+    await sleep(6000); // Wait for publisher + worker
+    const correlatedEvents = await client.query(
+      'SELECT event_type, correlation_id FROM outbox WHERE aggregate_id = $1 ORDER BY id',
+      [correlatedOrder.orderId]
+    );
+    if (correlatedEvents.rowCount < 2) {
+      throw new Error(`Expected OrderCreated and a payment outcome event, got ${correlatedEvents.rowCount}`);
+    }
+    const uncorrelated = correlatedEvents.rows.filter(row => row.correlation_id !== correlationId);
+    if (uncorrelated.length > 0) {
+      throw new Error(`Events without the correlation id: ${uncorrelated.map(row => row.event_type).join(', ')}`);
+    }
+    console.log(`  ✓ Worker-emitted ${correlatedEvents.rows[1].event_type} kept the correlation id`);
+
+    console.log('✅ Test 12 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 13: Payment Stub Scenarios - Decline, Timeout, Idempotent Replay
+    // ===================================================================
+    console.log('📋 Test 13: Payment Stub Scenarios');
+
+    const declinedUserId = uuidv4();
+    await setStubScenario('customers', declinedUserId, {
+      authorize: { outcome: 'decline', declineCode: 'insufficient_funds' },
+    });
+    const declinedOrder = await createOrder(declinedUserId, 25);
+    const declinedState = await waitForOrderState(client, declinedOrder.orderId, ['PAID', 'FAILED'], 15000);
+    const declinedEvent = await client.query(
+      `SELECT payload FROM outbox WHERE aggregate_id = $1 AND event_type = 'OrderFailed'`,
+      [declinedOrder.orderId]
+    );
+    if (declinedState.state !== 'FAILED' || declinedEvent.rows[0]?.payload.declineCode !== 'insufficient_funds') {
+      throw new Error(`Expected FAILED with declineCode insufficient_funds, got ${declinedState.state}`);
+    }
+    console.log(`  ✓ Scripted decline failed the order with its declineCode`);
+
+    // Held past the worker's PAYMENT_PROVIDER_TIMEOUT_MS (default 5000) once;
+    // the retry-topic attempt is approved
+    const timeoutUserId = uuidv4();
+    await setStubScenario('customers', timeoutUserId, {
+      authorize: { outcome: 'timeout', latencyMs: 8000, times: 1 },
+    });
+    const timedOutOrder = await createOrder(timeoutUserId, 25);
+    const timedOutState = await waitForOrderState(client, timedOutOrder.orderId, ['PAID', 'FAILED'], 45000);
+    if (timedOutState.state !== 'PAID') {
+      throw new Error(`Expected the retried payment to succeed, got ${timedOutState.state}`);
+    }
+    const timeoutOutcomes = await getStubOutcomes(timedOutOrder.orderId, 'authorize');
+    if (timeoutOutcomes.join(',') !== 'timeout,approve') {
+      throw new Error(`Expected a timeout then an approval, got ${timeoutOutcomes.join(', ')}`);
+    }
+    const authorizeAttempt = await client.query(
+      `SELECT attempts FROM payment_attempts WHERE order_id = $1 AND operation = 'authorize'`,
+      [timedOutOrder.orderId]
+    );
+    if (authorizeAttempt.rowCount !== 1 || authorizeAttempt.rows[0].attempts !== 2) {
+      throw new Error('Both authorize calls should share one payment attempt and its idempotency key');
+    }
+    console.log(`  ✓ Timed-out authorization was retried under the same key and paid`);
+
+    // A repeated key gets the first answer back, even after the scenario changes
+    const stubProvider = createHttpProvider({ baseUrl: paymentStubUrl });
+    const replayOrderId = uuidv4();
+    const replayRequest = { orderId: replayOrderId, customerId: uuidv4(), amount: 25, currency: 'USD', idempotencyKey: `it-${uuidv4()}` };
+    const firstAuthorization = await stubProvider.authorize(replayRequest);
+    await setStubScenario('orders', replayOrderId, { authorize: { outcome: 'decline' } });
+    const replayedAuthorization = await stubProvider.authorize(replayRequest);
+    const replayOutcomes = await getStubOutcomes(replayOrderId, 'authorize');
+    if (
+      firstAuthorization.status !== 'AUTHORIZED' ||
+      replayedAuthorization.authorizationId !== firstAuthorization.authorizationId ||
+      replayOutcomes.join(',') !== 'approve,replayed'
+    ) {
+      throw new Error(`Expected the first authorization replayed, got ${replayedAuthorization.status} (${replayOutcomes.join(', ')})`);
+    }
+    console.log(`  ✓ Repeated Idempotency-Key replayed the first authorization`);
+
+    console.log('✅ Test 13 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 14: Circuit Breaker and Bulkhead - Provider Outage
+    // ===================================================================
+    console.log('📋 Test 14: Circuit Breaker and Bulkhead');
+
+    const breaker = createCircuitBreaker('integration-test', {
+      failureThreshold: 3,
+      openDurationMs: 1000,
+      isFailure: err => err.retryable !== false,
+    });
+    const bulkhead = createBulkhead({ maxConcurrent: 2 });
+    const guardedProvider = guardProvider(createHttpProvider({ baseUrl: paymentStubUrl }), { breaker, bulkhead });
+    const authorizeRequest = orderId => ({ orderId, customerId: uuidv4(), amount: 25, currency: 'USD', idempotencyKey: `it-${uuidv4()}` });
+
+    // Three 503s open the circuit; the next call never reaches the stub
+    const outageOrderId = uuidv4();
+    await setStubScenario('orders', outageOrderId, { authorize: { outcome: 'error', status: 503, times: 3 } });
+    for (let i = 0; i < 3; i++) {
+      await guardedProvider.authorize(authorizeRequest(outageOrderId)).catch(() => {});
+    }
+    const rejected = await guardedProvider.authorize(authorizeRequest(outageOrderId)).catch(err => err);
+    if (breaker.state !== CIRCUIT_STATE.OPEN || !(rejected instanceof CircuitOpenError)) {
+      throw new Error(`Expected the circuit open after 3 failures, got ${breaker.state}`);
+    }
+    if ((await getStubOutcomes(outageOrderId, 'authorize')).length !== 3) {
+      throw new Error('A call rejected by the open circuit should not reach the provider');
+    }
+    console.log(`  ✓ Circuit opened after 3 failures and rejected calls without reaching the provider`);
+
+    // After openDurationMs one probe goes through; the stub approves again
+    await sleep(1100);
+    const probe = await guardedProvider.authorize(authorizeRequest(outageOrderId));
+    if (probe.status !== 'AUTHORIZED' || breaker.state !== CIRCUIT_STATE.CLOSED) {
+      throw new Error(`Expected a successful probe to close the circuit, got ${breaker.state}`);
+    }
+    console.log(`  ✓ Successful probe closed the circuit`);
+
+    // Calls past maxConcurrent wait for a slot instead of piling onto a slow provider
+    const slowOrderId = uuidv4();
+    await setStubScenario('orders', slowOrderId, { latencyMs: 500 });
+    const concurrent = [1, 2, 3, 4].map(() => guardedProvider.authorize(authorizeRequest(slowOrderId)));
+    if (bulkhead.inFlight !== 2 || bulkhead.queued !== 2) {
+      throw new Error(`Expected 2 calls in flight and 2 queued, got ${bulkhead.inFlight} and ${bulkhead.queued}`);
+    }
+    const concurrentResults = await Promise.all(concurrent);
+    if (!concurrentResults.every(result => result.status === 'AUTHORIZED') || bulkhead.inFlight !== 0) {
+      throw new Error('Queued calls should run once a slot frees up');
+    }
+    console.log(`  ✓ Bulkhead held 2 calls in flight and queued the rest`);
+
+    console.log('✅ Test 14 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 15: Migration Runner - Checksums and --to
+    // ===================================================================
+    console.log('📋 Test 15: Migration Runner');
+
+    const { rows: [latestMigration, previousMigration] } = await client.query(
+      'SELECT version, name, checksum FROM schema_migrations ORDER BY version DESC LIMIT 2'
+    );
+
+    const upToDate = await runMigrate('up');
+    if (upToDate.code !== 0 || !upToDate.output.includes('Database is up to date')) {
+      throw new Error(`Expected nothing to apply, got: ${upToDate.output}`);
+    }
+    console.log(`  ✓ Migrated database has nothing pending`);
+
+    // An applied migration whose file no longer matches its checksum
+    await client.query(`UPDATE schema_migrations SET checksum = 'edited' WHERE version = $1`, [latestMigration.version]);
+    try {
+      const editedUp = await runMigrate('up');
+      const editedStatus = await runMigrate('status');
+      if (editedUp.code === 0 || !editedUp.output.includes(`were edited since: ${latestMigration.name}`)) {
+        throw new Error(`Expected up to refuse an edited migration, got: ${editedUp.output}`);
+      }
+      if (editedStatus.code !== 1 || !new RegExp(`CHANGED\\s+${latestMigration.name}`).test(editedStatus.output)) {
+        throw new Error(`Expected status to report ${latestMigration.name} as CHANGED and exit 1`);
+      }
+    } finally {
+      await client.query('UPDATE schema_migrations SET checksum = $2 WHERE version = $1', [latestMigration.version, latestMigration.checksum]);
+    }
+    console.log(`  ✓ Edited migration stopped up and failed status`);
+
+    // Unrecord the latest migration; --to the one before leaves it pending
+    await client.query('DELETE FROM schema_migrations WHERE version = $1', [latestMigration.version]);
+    try {
+      const limitedUp = await runMigrate('up', '--to', String(previousMigration.version));
+      const stillPending = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [latestMigration.version]);
+      if (limitedUp.code !== 0 || !limitedUp.output.includes('Database is up to date') || stillPending.rowCount !== 0) {
+        throw new Error(`Expected --to ${previousMigration.version} to leave ${latestMigration.name} pending`);
+      }
+      const unknownTarget = await runMigrate('up', '--to', '999');
+      if (unknownTarget.code === 0 || !unknownTarget.output.includes(`doesn't name a migration`)) {
+        throw new Error('Expected --to an unknown version to fail');
+      }
+    } finally {
+      // Records it again without running its SQL a second time
+      await runMigrate('baseline', '--to', String(latestMigration.version));
+    }
+    const restoredMigration = await client.query('SELECT checksum FROM schema_migrations WHERE version = $1', [latestMigration.version]);
+    if (restoredMigration.rows[0]?.checksum !== latestMigration.checksum) {
+      throw new Error(`${latestMigration.name} should be recorded again with its checksum`);
+    }
+    console.log(`  ✓ up --to stopped before the pending migration`);
+
+    console.log('✅ Test 15 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 16: Idempotent Consumer - processOnce and Retention Cleanup
+    // ===================================================================
+    console.log('📋 Test 16: processOnce and Retention Cleanup');
+
+    const testConsumer = `integration-test-${uuidv4()}`;
+
+    // Work that throws rolls its marker back, so the event can be handled again
+    const onceEventId = uuidv4();
+    const failedWork = await processOnce(testConsumer, onceEventId, async () => {
+      throw new Error('integration-test failure');
+    }).catch(err => err);
+    if (!(failedWork instanceof Error) || await isProcessed(testConsumer, onceEventId)) {
+      throw new Error('A failed processOnce should leave the event unprocessed');
+    }
+    const firstRun = await processOnce(testConsumer, onceEventId, async client => {
+      const { rows } = await client.query('SELECT 1 AS handled');
+      return rows[0].handled;
+    });
+    const secondRun = await processOnce(testConsumer, onceEventId, async () => 'ran twice');
+    if (firstRun.duplicate || firstRun.result !== 1 || !secondRun.duplicate) {
+      throw new Error('processOnce should run the work once and report the second call as a duplicate');
+    }
+    console.log(`  ✓ Failed work was rolled back, then the event ran once`);
+
+    // The second delivery waits on the first one's marker and sees a duplicate
+    const racedEventId = uuidv4();
+    const racedRuns = await Promise.all([1, 2].map(() =>
+      processOnce(testConsumer, racedEventId, async () => sleep(200))
+    ));
+    if (racedRuns.filter(run => !run.duplicate).length !== 1) {
+      throw new Error('Exactly one of two concurrent deliveries should do the work');
+    }
+    console.log(`  ✓ Concurrent deliveries of one event did the work once`);
+
+    // Cleanup removes this consumer's markers past retention, and only those
+    const staleEventId = uuidv4();
+    const otherConsumer = `${testConsumer}-other`;
+    await client.query(
+      `INSERT INTO processed_events (event_id, consumer_name, processed_at)
+       VALUES ($1, $2, now() - interval '10 years'), ($1, $3, now() - interval '10 years')`,
+      [staleEventId, testConsumer, otherConsumer]
+    );
+    const removed = await cleanupProcessedEvents(testConsumer);
+    const remaining = await client.query(
+      'SELECT event_id, consumer_name FROM processed_events WHERE consumer_name IN ($1, $2)',
+      [testConsumer, otherConsumer]
+    );
+    const remainingKeys = remaining.rows.map(row => `${row.consumer_name}:${row.event_id}`).sort();
+    const expectedKeys = [`${otherConsumer}:${staleEventId}`, `${testConsumer}:${onceEventId}`, `${testConsumer}:${racedEventId}`].sort();
+    if (removed !== 1 || remainingKeys.join() !== expectedKeys.join()) {
+      throw new Error(`Expected only the stale marker of ${testConsumer} removed, removed ${removed}`);
+    }
+    await client.query('DELETE FROM processed_events WHERE consumer_name IN ($1, $2)', [testConsumer, otherConsumer]);
+    console.log(`  ✓ Retention cleanup removed only this consumer's stale markers`);
+
+    console.log('✅ Test 16 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 17: Consumer Framework - Retry Tiers and Dead-Lettering
+    // ===================================================================
+    console.log('📋 Test 17: Retry Tiers and Dead-Lettering');
+
+    const runId = uuidv4().slice(0, 8);
+    const retryTestTopic = `integration-test-events-${runId}`;
+    const retryTestConsumer = `integration-test-${runId}`;
+    const retriedEventId = uuidv4();
+    const rejectedEventId = uuidv4();
+    // Declared as Avro, which its value is not
+    const undecodableEventId = uuidv4();
+    // eventId -> [{ attempt, at }] for every call of the handler
+    const handlerCalls = new Map();
+
+    const shutdown = new AbortController();
+    const eventConsumer = createEventConsumer({
+      name: retryTestConsumer,
+      groupId: `integration-test-group-${runId}`,
+      topics: [retryTestTopic],
+      brokers: ['localhost:9092'],
+      signal: shutdown.signal,
+      handlers: {
+        // Always fails; the rejected event is marked as not worth retrying
+        OrderCreated: async (event, { attempt }) => {
+          handlerCalls.set(event.eventId, [...(handlerCalls.get(event.eventId) || []), { attempt, at: Date.now() }]);
+          const err = new Error('integration-test failure');
+          if (event.eventId === rejectedEventId) {
+            err.retryable = false;
+          }
+          throw err;
+        },
+      },
+    });
+
+    const [shortTier, longTier] = ['1s', '2s'].map(tier => `${retryTestTopic}.${retryTestConsumer}.retry.${tier}`);
+    const admin = kafka.admin();
+    const producer = kafka.producer();
+    await admin.connect();
+    await producer.connect();
+
+    try {
+      await admin.createTopics({
+        topics: [retryTestTopic, shortTier, longTier].map(topic => ({ topic })),
+        waitForLeaders: true,
+      });
+      await eventConsumer.start();
+
+      await producer.send({
+        topic: retryTestTopic,
+        messages: [retriedEventId, rejectedEventId].map(eventId => {
+          const orderId = uuidv4();
+          return {
+            key: orderId,
+            value: JSON.stringify({
+              eventId,
+              eventType: 'OrderCreated',
+              aggregateType: 'order',
+              aggregateId: orderId,
+              schemaVersion: 2,
+              payload: { orderId, userId: uuidv4(), amount: 10, currency: 'USD' },
+              createdAt: new Date().toISOString(),
+            }),
+            headers: { 'event-type': 'OrderCreated', 'event-id': eventId, 'schema-version': '2' },
+          };
+        }).concat({
+          key: uuidv4(),
+          value: 'not avro',
+          headers: {
+            'event-type': 'OrderCreated',
+            'event-id': undecodableEventId,
+            'schema-version': '2',
+            'event-encoding': 'avro',
+          },
+        }),
+      });
+
+      const deadline = Date.now() + 60000;
+      let deadLetters = [];
+      while (deadLetters.length < 3 && Date.now() < deadline) {
+        await sleep(1000);
+        const result = await client.query(
+          'SELECT event_id, reason, raw_value FROM dead_letter_events WHERE consumer_name = $1',
+          [retryTestConsumer]
+        );
+        deadLetters = result.rows;
+      }
+      const handlerFailures = deadLetters.filter(row => row.event_id !== undecodableEventId);
+      if (handlerFailures.length !== 2 || handlerFailures.some(row => row.reason !== 'integration-test failure')) {
+        throw new Error(`Expected both events dead-lettered for ${retryTestConsumer}, found ${handlerFailures.length}`);
+      }
+      console.log(`  ✓ Both events dead-lettered under ${retryTestConsumer}`);
+
+      // A message that can't be decoded is kept as received, not dropped
+      const undecodable = deadLetters.find(row => row.event_id === undecodableEventId);
+      if (!undecodable?.reason.startsWith('DECODE_FAILED') || undecodable.raw_value?.toString() !== 'not avro') {
+        throw new Error('An undecodable message should be dead-lettered with its raw value');
+      }
+      if (handlerCalls.has(undecodableEventId)) {
+        throw new Error('An undecodable message should never reach the handler');
+      }
+      console.log(`  ✓ Undecodable message dead-lettered with its raw value`);
+
+      // Attempt 1 backs off 1s and attempt 2 backs off 2s, each from its own tier
+      const retriedCalls = handlerCalls.get(retriedEventId) || [];
+      if (retriedCalls.map(call => call.attempt).join() !== '0,1,2') {
+        throw new Error(`Expected attempts 0,1,2, got ${retriedCalls.map(call => call.attempt).join()}`);
+      }
+      if (retriedCalls[1].at - retriedCalls[0].at < 1000 || retriedCalls[2].at - retriedCalls[1].at < 2000) {
+        throw new Error('Retries should wait for their tier delay');
+      }
+      console.log(`  ✓ Retryable failure went through both tiers before the dead-letter table`);
+
+      // The non-retryable failure skipped the tiers: each holds only the other event's retry
+      const rejectedCalls = handlerCalls.get(rejectedEventId) || [];
+      const tierMessages = await Promise.all([shortTier, longTier].map(topic => countTopicMessages(admin, topic)));
+      if (rejectedCalls.length !== 1 || tierMessages.join() !== '1,1') {
+        throw new Error(`Expected one call and no retries for the rejected event, got ${rejectedCalls.length} call(s) and tiers ${tierMessages.join()}`);
+      }
+      console.log(`  ✓ Non-retryable failure was dead-lettered on the first attempt`);
+    } finally {
+      shutdown.abort();
+      await eventConsumer.stop();
+      await client.query('DELETE FROM dead_letter_events WHERE consumer_name = $1', [retryTestConsumer]);
+      await admin.deleteTopics({ topics: [retryTestTopic, shortTier, longTier] }).catch(() => {});
+      await producer.disconnect();
+      await admin.disconnect();
+    }
+
+    console.log('✅ Test 17 PASSED\n');
+    passedTests++;
+
+    // ===================================================================
+    // TEST 18: Webhooks - Signatures, Backoff, Auto-Disable, Redelivery
+    // ===================================================================
+    console.log('📋 Test 18: Webhook Delivery');
+
+    // Checks each request's signature with its subscription's secret, like a
+    // real receiver. /flaky answers 503 while flakyDown is set, and every
+    // answer waits receiverDelayMs.
+    const receiverSecrets = {};
+    const received = [];
+    let flakyDown = true;
+    let receiverDelayMs = 0;
+    const receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const valid = verifySignature(
+          receiverSecrets[req.url] || '',
+          body,
+          req.headers['webhook-timestamp'],
+          req.headers['webhook-signature']
+        );
+        received.push({ path: req.url, valid, body: JSON.parse(body) });
+        setTimeout(() => {
+          if (!valid) {
+            res.writeHead(401);
+          } else {
+            res.writeHead(req.url === '/flaky' && flakyDown ? 503 : 204);
+          }
+          res.end();
+        }, receiverDelayMs);
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    const receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+    const webhookSubscriptionIds = [];
+    const webhookEventIds = [];
+
+    // Queues an OrderPaid event the way the dispatcher does
+    async function queueWebhookEvent() {
+      const event = {
+        eventId: uuidv4(),
+        eventType: 'OrderPaid',
+        aggregateId: uuidv4(),
+        payload: { orderId: uuidv4() },
+        createdAt: new Date().toISOString(),
+      };
+      webhookEventIds.push(event.eventId);
+      await processOnce('webhook-dispatcher', event.eventId, tx => enqueueDeliveries(tx, event));
+      return event.eventId;
+    }
+
+    // Sends what is due and returns the attempts made for this test's subscriptions
+    async function deliverTestWebhooks() {
+      const delivered = await deliverDue({ limit: 50 });
+      return delivered.filter(({ delivery }) => webhookSubscriptionIds.includes(delivery.subscription_id));
+    }
+
+    try {
+      const subscriptions = {};
+      for (const name of ['stable', 'flaky']) {
+        const created = await adminRequest('POST', '/webhooks/subscriptions', {
+          url: `${receiverUrl}/${name}`,
+          eventTypes: ['OrderPaid'],
+          description: 'integration test',
+        });
+        if (created.status !== 201) {
+          throw new Error(`Expected 201 creating a subscription, got ${created.status}`);
+        }
+        subscriptions[name] = created.body;
+        receiverSecrets[`/${name}`] = created.body.secret;
+        webhookSubscriptionIds.push(created.body.id);
+      }
+
+      // First event: the stable endpoint takes it, the flaky one is retried
+      const firstEventId = await queueWebhookEvent();
+      const firstRound = await deliverTestWebhooks();
+      const stableAttempt = firstRound.find(({ delivery }) => delivery.subscription_id === subscriptions.stable.id);
+      const flakyAttempt = firstRound.find(({ delivery }) => delivery.subscription_id === subscriptions.flaky.id);
+      const stableRequest = received.find(request => request.path === '/stable');
+      if (stableAttempt?.recorded.outcome !== 'SUCCEEDED' || !stableRequest?.valid || stableRequest.body.id !== firstEventId) {
+        throw new Error('The stable endpoint should receive the event with a valid signature');
+      }
+      console.log(`  ✓ Signed delivery verified by the receiver`);
+
+      if (flakyAttempt?.recorded.outcome !== 'RETRY_SCHEDULED' || new Date(flakyAttempt.recorded.nextAttemptAt) <= new Date()) {
+        throw new Error('A failed attempt should be retried later');
+      }
+      if ((await deliverTestWebhooks()).length !== 0) {
+        throw new Error('The retry should not be due before its backoff');
+      }
+      console.log(`  ✓ Failed attempt backed off until ${new Date(flakyAttempt.recorded.nextAttemptAt).toISOString()}`);
+
+      // Out of attempts, the delivery fails; the second failed delivery in a row
+      // disables the subscription
+      await sleep(new Date(flakyAttempt.recorded.nextAttemptAt) - Date.now() + 100);
+      const [firstFailure] = await deliverTestWebhooks();
+      await queueWebhookEvent();
+      const secondEventAttempt = (await deliverTestWebhooks())
+        .find(({ delivery }) => delivery.subscription_id === subscriptions.flaky.id);
+      await sleep(new Date(secondEventAttempt.recorded.nextAttemptAt) - Date.now() + 100);
+      const [secondFailure] = await deliverTestWebhooks();
+      const failures = [firstFailure, secondFailure].map(attempt => attempt?.recorded);
+      if (failures.map(recorded => recorded?.outcome).join() !== 'FAILED,FAILED' ||
+          failures[0].subscriptionDisabled || !failures[1].subscriptionDisabled) {
+        throw new Error(`Expected the second failed delivery to disable the subscription, got ${JSON.stringify(failures)}`);
+      }
+      const disabled = await adminRequest('GET', `/webhooks/subscriptions/${subscriptions.flaky.id}`);
+      if (disabled.body.status !== 'DISABLED' || !disabled.body.disabled) {
+        throw new Error(`Expected the flaky subscription DISABLED, got ${disabled.body.status}`);
+      }
+      console.log(`  ✓ Subscription disabled after 2 failed deliveries: ${disabled.body.disabled.reason}`);
+
+      // Enabled again with the endpoint back, a redelivery starts round 2
+      flakyDown = false;
+      await adminRequest('PATCH', `/webhooks/subscriptions/${subscriptions.flaky.id}`, { status: 'ACTIVE' });
+      const redelivered = await adminRequest('POST', `/webhooks/deliveries/${flakyAttempt.delivery.id}/redeliver`);
+      if (redelivered.status !== 202 || redelivered.body.round !== 2) {
+        throw new Error(`Expected a 202 starting round 2, got ${redelivered.status}`);
+      }
+      const [redeliveredAttempt] = await deliverTestWebhooks();
+      const delivery = await adminRequest('GET', `/webhooks/deliveries/${flakyAttempt.delivery.id}`);
+      const attemptLog = delivery.body.attemptLog.map(entry => `${entry.round}.${entry.attempt}:${entry.statusCode}`).join();
+      if (redeliveredAttempt?.recorded.outcome !== 'SUCCEEDED' || delivery.body.status !== 'SUCCEEDED' ||
+          attemptLog !== '1.1:503,1.2:503,2.1:204') {
+        throw new Error(`Expected the redelivery to succeed in round 2, got attempt log ${attemptLog}`);
+      }
+      console.log(`  ✓ Redelivery succeeded in round 2 (attempt log ${attemptLog})`);
+
+      // Another worker claims the delivery while the first one's request is in
+      // flight: the late answer is logged but doesn't count
+      receiverDelayMs = 500;
+      await queueWebhookEvent();
+      const inFlight = deliverTestWebhooks();
+      await sleep(200);
+      await client.query(
+        `UPDATE webhook_deliveries SET claim_id = $2 WHERE subscription_id = $1 AND status = 'PENDING'`,
+        [subscriptions.stable.id, uuidv4()]
+      );
+      const lateAttempt = (await inFlight).find(({ delivery }) => delivery.subscription_id === subscriptions.stable.id);
+      receiverDelayMs = 0;
+      const lateDelivery = await adminRequest('GET', `/webhooks/deliveries/${lateAttempt.delivery.id}`);
+      if (lateAttempt.recorded.outcome !== 'SUPERSEDED' || lateDelivery.body.status !== 'PENDING' ||
+          lateDelivery.body.attempts !== 0 || !lateDelivery.body.attemptLog[0]?.superseded) {
+        throw new Error(`Expected the late answer only logged, got ${lateAttempt.recorded.outcome} and ${lateDelivery.body.status}`);
+      }
+      console.log(`  ✓ Answer to a superseded claim was logged without counting`);
+    } finally {
+      receiver.close();
+      await client.query('DELETE FROM webhook_subscriptions WHERE id = ANY($1)', [webhookSubscriptionIds]);
+      await client.query(
+        `DELETE FROM processed_events WHERE consumer_name = 'webhook-dispatcher' AND event_id = ANY($1)`,
+        [webhookEventIds]
+      );
+    }
+
+    console.log('✅ Test 18 PASSED\n');
+    passedTests++;
+
   } catch (error) {
     console.error(`❌ TEST FAILED: ${error.message}\n`);
     failedTests++;
   } finally {
     await client.end();
+    await db.end();
   }
 
   // ===================================================================
@@ -354,8 +1398,8 @@ async function runIntegrationTests() {
   console.log('═══════════════════════════════════════════════════');
   console.log('📊 Test Summary');
   console.log('═══════════════════════════════════════════════════');
-  console.log(`✅ Passed: ${passedTests}/5`);
-  console.log(`❌ Failed: ${failedTests}/5`);
+  console.log(`✅ Passed: ${passedTests}/${TOTAL_TESTS}`);
+  console.log(`❌ Failed: ${failedTests}/${TOTAL_TESTS}`);
   console.log('═══════════════════════════════════════════════════\n');
 
   if (failedTests === 0) {
@@ -374,7 +1418,8 @@ if (require.main === module) {
   console.log('   - Docker services running (docker-compose up -d)');
   console.log('   - API server running (npm run dev)');
   console.log('   - Publisher running (node src/publisher/outboxPublisher.js)');
-  console.log('   - Worker running (node src/worker/consumer.js)');
+  console.log('   - Payment stub running (npm run payment-stub)');
+  console.log('   - Worker running against it (PAYMENT_PROVIDER=http node src/worker/consumer.js)');
   console.log('');
   console.log('Starting tests in 3 seconds...\n');
   
@@ -0,0 +1,121 @@
+/**
+ * Load Test: Payment Worker Throughput
+ *
+ * Creates a burst of orders through the API and measures how fast the
+ * payment worker settles them (PAID or FAILED). Run it once per worker
+ * configuration and compare, e.g.:
+ *
+ *   WORKER_KEY_CONCURRENCY=1  node src/worker/consumer.js   # one order at a time
+ *   WORKER_KEY_CONCURRENCY=10 node src/worker/consumer.js   # default
+ *
+ * With the mock provider (about 1s per payment) the first settles roughly one
+ * order per second and the second roughly ten.
+ *
+ * Options (environment):
+ *   LOAD_TEST_ORDERS        orders to create (default 100)
+ *   LOAD_TEST_TIMEOUT_MS    give up after this long (default 300000)
+ *   API_URL                 default http://localhost:3000
+ *
+ * Prerequisites: the same services as the integration tests.
+ */
+
+const { Client } = require('pg');
+const { v4: uuidv4 } = require('uuid');
+
+const dbConfig = {
+  host: 'localhost',
+  port: 5432,
+  user: 'app_user',
+  password: 'app_password',
+  database: 'app_db',
+};
+
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+const ORDER_COUNT = Number(process.env.LOAD_TEST_ORDERS) || 100;
+const TIMEOUT_MS = Number(process.env.LOAD_TEST_TIMEOUT_MS) || 5 * 60 * 1000;
+// Orders created at a time, so the API isn't the bottleneck being measured
+const CREATE_CONCURRENCY = 20;
+
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function createOrder(userId) {
+  const response = await fetch(`${API_URL}/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, amount: 10 }),
+  });
+  if (response.status !== 201) {
+    throw new Error(`POST /orders returned ${response.status}`);
+  }
+  return (await response.json()).orderId;
+}
+
+async function createOrders(userId, count) {
+  const orderIds = [];
+  while (orderIds.length < count) {
+    const size = Math.min(CREATE_CONCURRENCY, count - orderIds.length);
+    orderIds.push(...await Promise.all(Array.from({ length: size }, () => createOrder(userId))));
+  }
+  return orderIds;
+}
+
+async function settledCount(client, userId) {
+  const { rows } = await client.query(
+    `SELECT count(*)::int AS settled FROM orders WHERE user_id = $1 AND state IN ('PAID', 'FAILED')`,
+    [userId]
+  );
+  return rows[0].settled;
+}
+
+async function runLoadTest() {
+  const client = new Client(dbConfig);
+  await client.connect();
+
+  // A fresh user per run keeps earlier orders out of the count
+  const userId = uuidv4();
+
+  try {
+    console.log(`🚀 Creating ${ORDER_COUNT} orders for user ${userId}`);
+    const createStart = Date.now();
+    await createOrders(userId, ORDER_COUNT);
+    const createSeconds = (Date.now() - createStart) / 1000;
+    console.log(`  ✓ Created in ${createSeconds.toFixed(1)}s`);
+
+    console.log('⏳ Waiting for the worker to settle them...');
+    let settled = 0;
+    let lastReported = -1;
+    while (settled < ORDER_COUNT) {
+      if (Date.now() - createStart > TIMEOUT_MS) {
+        throw new Error(`Timed out with ${settled}/${ORDER_COUNT} orders settled`);
+      }
+      await sleep(500);
+      settled = await settledCount(client, userId);
+      if (settled !== lastReported) {
+        console.log(`  ${settled}/${ORDER_COUNT} settled after ${((Date.now() - createStart) / 1000).toFixed(1)}s`);
+        lastReported = settled;
+      }
+    }
+
+    const totalSeconds = (Date.now() - createStart) / 1000;
+    console.log('═══════════════════════════════════════════════════');
+    console.log('📊 Load Test Summary');
+    console.log('═══════════════════════════════════════════════════');
+    console.log(`Orders:            ${ORDER_COUNT}`);
+    console.log(`Time to settle:    ${totalSeconds.toFixed(1)}s`);
+    console.log(`Throughput:        ${(ORDER_COUNT / totalSeconds).toFixed(2)} orders/s`);
+    console.log('═══════════════════════════════════════════════════\n');
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  runLoadTest().catch((error) => {
+    console.error('❌ Load test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { runLoadTest };